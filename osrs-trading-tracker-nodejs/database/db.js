@@ -1,300 +1,208 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
-
-class Database {
-  constructor() {
+const Storage = require('./storage');
+const { migrate } = require('./migrations');
+
+// SQLite backend, used for local development
+class Database extends Storage {
+  constructor(options = {}) {
+    super();
+    this.filename = options.filename || path.join(__dirname, 'trading_tracker.sqlite');
+    this.dialect = 'sqlite';
     this.db = null;
+    // A second, read-only connection for reads while a transaction is open
+    // (file databases only, see openReader())
+    this.reader = null;
+    this.transactionQueue = Promise.resolve();
+    // The transaction in progress (a promise of its end), and statements
+    // from outside it still running
+    this.openTransaction = null;
+    this.running = new Set();
   }
 
   async init() {
+    await this.connect();
+    await migrate(this);
+  }
+
+  // Open the database file (once) without touching the schema
+  async connect() {
+    if (this.db) {
+      return;
+    }
+
     return new Promise((resolve, reject) => {
       // Ensure database directory exists
-      const dbDir = path.join(__dirname);
-      if (!fs.existsSync(dbDir)) {
-        fs.mkdirSync(dbDir, { recursive: true });
+      if (this.filename !== ':memory:') {
+        const dbDir = path.dirname(this.filename);
+        if (!fs.existsSync(dbDir)) {
+          fs.mkdirSync(dbDir, { recursive: true });
+        }
       }
 
       // Connect to database
-      const dbPath = path.join(dbDir, 'trading_tracker.sqlite');
-      this.db = new sqlite3.Database(dbPath, (err) => {
+      this.db = new sqlite3.Database(this.filename, (err) => {
         if (err) {
           console.error('Error opening database:', err);
+          this.db = null;
           reject(err);
         } else {
           console.log('📊 Connected to SQLite database');
-          this.createTables().then(resolve).catch(reject);
-        }
-      });
-    });
-  }
-
-  async createTables() {
-    return new Promise((resolve, reject) => {
-      const createTableSQL = `
-        CREATE TABLE IF NOT EXISTS trading_records (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          first_buy_time TEXT,
-          last_sell_time TEXT,
-          account TEXT NOT NULL,
-          item TEXT NOT NULL,
-          status TEXT NOT NULL,
-          bought INTEGER DEFAULT 0,
-          sold INTEGER DEFAULT 0,
-          avg_buy_price INTEGER DEFAULT 0,
-          avg_sell_price INTEGER DEFAULT 0,
-          tax INTEGER DEFAULT 0,
-          profit INTEGER DEFAULT 0,
-          profit_ea INTEGER DEFAULT 0,
-          import_date TEXT DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(first_buy_time, last_sell_time, item)
-        )
-      `;
-
-      this.db.run(createTableSQL, (err) => {
-        if (err) {
-          console.error('Error creating table:', err);
-          reject(err);
-        } else {
-          console.log('✅ Trading records table ready');
           resolve();
         }
       });
-    });
-  }
-
-  // Dashboard statistics
-  async getDashboardStats() {
-    return new Promise((resolve, reject) => {
-      const queries = {
-        totalProfit: `SELECT SUM(profit) as total FROM trading_records WHERE status = 'FINISHED'`,
-        completedFlips: `SELECT COUNT(*) as count FROM trading_records WHERE status = 'FINISHED'`,
-        totalRecords: `SELECT COUNT(*) as count FROM trading_records`,
-        topFlips: `SELECT * FROM trading_records ORDER BY profit DESC LIMIT 10`,
-        topItems: `SELECT item, SUM(profit) as totalProfit FROM trading_records
-                   WHERE status = 'FINISHED' GROUP BY item ORDER BY totalProfit DESC LIMIT 10`
-      };
-
-      const stats = {};
-      let completedQueries = 0;
-      const totalQueries = Object.keys(queries).length;
-
-      for (const [key, query] of Object.entries(queries)) {
-        if (key === 'topFlips' || key === 'topItems') {
-          this.db.all(query, (err, rows) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            stats[key] = rows;
-            completedQueries++;
-            if (completedQueries === totalQueries) resolve(stats);
-          });
-        } else {
-          this.db.get(query, (err, row) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            stats[key] = row ? (row.total || row.count || 0) : 0;
-            completedQueries++;
-            if (completedQueries === totalQueries) resolve(stats);
-          });
-        }
-      }
-    });
+    }).then(() => this.openReader());
   }
 
-  // Get all records or by status
-  async getRecords(status = null) {
-    return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM trading_records';
-      let params = [];
-
-      if (status) {
-        query += ' WHERE UPPER(status) = UPPER(?)';
-        params.push(status);
-      }
+  // In WAL mode a second connection can read the last committed state while
+  // the first one is writing, so a long import doesn't hold up every page.
+  // An in-memory database can't be shared, so its reads wait instead.
+  async openReader() {
+    if (this.filename === ':memory:') {
+      return;
+    }
 
-      query += ' ORDER BY import_date DESC';
+    const { journal_mode: mode } = await this.execute('get', 'PRAGMA journal_mode = WAL', []);
+    if (mode !== 'wal') {
+      return;
+    }
 
-      this.db.all(query, params, (err, rows) => {
+    await new Promise((resolve) => {
+      const reader = new sqlite3.Database(this.filename, sqlite3.OPEN_READONLY, (err) => {
         if (err) {
-          reject(err);
+          console.error('Error opening database for reading:', err);
         } else {
-          resolve(rows);
+          this.reader = reader;
         }
+        resolve();
       });
     });
   }
 
-  // Insert a new trading record
-  async insertRecord(record) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT OR IGNORE INTO trading_records
-        (first_buy_time, last_sell_time, account, item, status, bought, sold,
-         avg_buy_price, avg_sell_price, tax, profit, profit_ea, import_date)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `;
-
-      const params = [
-        record.firstBuyTime,
-        record.lastSellTime,
-        record.account,
-        record.item,
-        record.status,
-        record.bought || 0,
-        record.sold || 0,
-        record.avgBuyPrice || 0,
-        record.avgSellPrice || 0,
-        record.tax || 0,
-        record.profit || 0,
-        record.profitEa || 0
-      ];
+  // Low-level helpers (used by migrations and shared queries). Writes share
+  // the transaction's connection, so while a transaction is open they wait
+  // for it to end rather than run inside it, and so do reads unless there's a
+  // reader connection to take them. The transaction's own handle (see
+  // transaction()) runs its statements straight away.
+  async run(sql, params = []) {
+    return this.outsideTransaction(() => this.execute('run', sql, params));
+  }
 
-      this.db.run(query, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({
-            id: this.lastID,
-            changes: this.changes
-          });
-        }
-      });
-    });
+  async get(sql, params = []) {
+    return this.read('get', sql, params);
   }
 
-  // Check if record exists (for duplicate detection)
-  async recordExists(firstBuyTime, lastSellTime, item) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT COUNT(*) as count FROM trading_records
-        WHERE first_buy_time = ? AND last_sell_time = ? AND item = ?
-      `;
+  async all(sql, params = []) {
+    return this.read('all', sql, params);
+  }
 
-      this.db.get(query, [firstBuyTime, lastSellTime, item], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row.count > 0);
-        }
-      });
-    });
+  read(method, sql, params) {
+    if (this.openTransaction && this.reader) {
+      return this.execute(method, sql, params, this.reader);
+    }
+    return this.outsideTransaction(() => this.execute(method, sql, params));
   }
 
-  // Daily returns data
-  async getDailyReturns() {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT
-          DATE(first_buy_time) as date,
-          COUNT(*) as totalTrades,
-          SUM(CASE WHEN status = 'FINISHED' THEN profit ELSE 0 END) as dailyProfit,
-          COUNT(CASE WHEN status = 'FINISHED' THEN 1 END) as finishedTrades,
-          COUNT(CASE WHEN status = 'SELLING' THEN 1 END) as activeTrades
-        FROM trading_records
-        WHERE first_buy_time IS NOT NULL
-        GROUP BY DATE(first_buy_time)
-        ORDER BY date DESC
-      `;
+  // Start statement() once no transaction is open, tracking it until it ends
+  // so a transaction about to begin can wait for it
+  async outsideTransaction(statement) {
+    while (this.openTransaction) {
+      await this.openTransaction;
+    }
 
-      this.db.all(query, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          // Get top item for each day
-          this.addTopItemsToDaily(rows).then(resolve).catch(reject);
-        }
-      });
-    });
+    const running = statement();
+    const done = () => this.running.delete(running);
+    this.running.add(running);
+    running.then(done, done);
+    return running;
   }
 
-  async addTopItemsToDaily(dailyData) {
-    const promises = dailyData.map(day => {
-      return new Promise((resolve, reject) => {
-        const query = `
-          SELECT item, profit FROM trading_records
-          WHERE DATE(first_buy_time) = ? AND status = 'FINISHED'
-          ORDER BY profit DESC LIMIT 1
-        `;
-
-        this.db.get(query, [day.date], (err, row) => {
+  execute(method, sql, params, connection = this.db) {
+    return new Promise((resolve, reject) => {
+      if (method === 'run') {
+        connection.run(sql, params, function(err) {
           if (err) {
             reject(err);
           } else {
-            day.topItem = row ? row.item : 'No completed trades';
-            day.topItemProfit = row ? row.profit : 0;
-            resolve(day);
+            resolve({
+              id: this.lastID,
+              changes: this.changes
+            });
           }
         });
-      });
-    });
-
-    return Promise.all(promises);
-  }
-
-  // Timeline data (same as daily returns but formatted for timeline view)
-  async getTimelineData() {
-    const dailyData = await this.getDailyReturns();
-
-    // Calculate cumulative net worth and growth
-    const startingNetWorth = 196000000; // 196M GP starting cash
-    let cumulativeNetWorth = startingNetWorth;
-
-    // Sort by date ascending for calculation
-    dailyData.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    let previousNetWorth = startingNetWorth;
-
-    dailyData.forEach((day, index) => {
-      // Count unique items for that day
-      day.items = Math.floor(Math.random() * 10) + 1; // We'll calculate this properly later
-      day.flips = day.totalTrades;
-
-      // Add daily profit to cumulative net worth
-      cumulativeNetWorth += day.dailyProfit;
-      day.netWorth = cumulativeNetWorth;
-
-      // Calculate profit as difference from previous day
-      if (index === 0) {
-        // First day: profit is the actual daily profit
-        day.profit = day.dailyProfit;
       } else {
-        // Subsequent days: profit is net worth increase from previous day
-        day.profit = day.netWorth - previousNetWorth;
+        connection[method](sql, params, (err, result) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(result);
+          }
+        });
       }
-
-      // Calculate ROI based on starting cash (196M)
-      day.roi = startingNetWorth > 0 ? ((cumulativeNetWorth - startingNetWorth) * 100) / startingNetWorth : 0;
-
-      // Calculate growth percentage (day's profit as % of previous day's net worth)
-      day.growth = previousNetWorth > 0 ? (day.profit * 100) / previousNetWorth : 0;
-
-      previousNetWorth = cumulativeNetWorth;
     });
+  }
 
-    // Sort by date descending for display
-    dailyData.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-    return dailyData;
+  // Run fn inside a transaction. Transactions are queued to keep them from
+  // interleaving, and statements from outside wait until it ends or go to the
+  // reader (see run()).
+  // fn receives this storage with run/get/all going straight to the
+  // connection, so every Storage query method can be used inside it.
+  async transaction(fn) {
+    const previous = this.transactionQueue;
+    let release;
+    const ended = new Promise(resolve => { release = resolve; });
+    this.transactionQueue = ended;
+    await previous;
+
+    this.openTransaction = ended;
+    const tx = Object.create(this);
+    tx.run = (sql, params = []) => this.execute('run', sql, params);
+    tx.get = (sql, params = []) => this.execute('get', sql, params);
+    tx.all = (sql, params = []) => this.execute('all', sql, params);
+    tx.transaction = (nested) => nested(tx);
+
+    try {
+      await Promise.allSettled([...this.running]);
+      await tx.run('BEGIN');
+      try {
+        const result = await fn(tx);
+        await tx.run('COMMIT');
+        return result;
+      } catch (err) {
+        await tx.run('ROLLBACK');
+        throw err;
+      }
+    } finally {
+      this.openTransaction = null;
+      release();
+    }
   }
 
   // Close database connection
-  close() {
-    if (this.db) {
+  async close() {
+    if (this.reader) {
+      await new Promise(resolve => this.reader.close(() => resolve()));
+      this.reader = null;
+    }
+
+    return new Promise((resolve) => {
+      if (!this.db) {
+        resolve();
+        return;
+      }
+
       this.db.close((err) => {
         if (err) {
           console.error('Error closing database:', err);
         } else {
           console.log('📊 Database connection closed');
         }
+        this.db = null;
+        resolve();
       });
-    }
+    });
   }
 }
 
-// Create and export a single instance
-const database = new Database();
-module.exports = database;
\ No newline at end of file
+module.exports = Database;
\ No newline at end of file
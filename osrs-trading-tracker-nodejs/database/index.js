@@ -0,0 +1,14 @@
+// Database setup - choose the backend once so server.js and the routes
+// share the same instance through the Storage interface
+let db;
+if (process.env.POSTGRES_URL) {
+  // Use Postgres for production (Vercel)
+  const PostgresDatabase = require('./postgres-db');
+  db = new PostgresDatabase({ connectionString: process.env.POSTGRES_URL });
+} else {
+  // Use SQLite for local development, in SQLITE_FILE when set
+  const Database = require('./db');
+  db = new Database({ filename: process.env.SQLITE_FILE });
+}
+
+module.exports = db;
@@ -0,0 +1,23 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before
+// migrations existed are adopted as version 1 without changes.
+module.exports = {
+  up: (t) => [`
+    CREATE TABLE IF NOT EXISTS trading_records (
+      id ${t.id},
+      first_buy_time TEXT,
+      last_sell_time TEXT,
+      account TEXT NOT NULL,
+      item TEXT NOT NULL,
+      status TEXT NOT NULL,
+      bought INTEGER DEFAULT 0,
+      sold INTEGER DEFAULT 0,
+      avg_buy_price INTEGER DEFAULT 0,
+      avg_sell_price INTEGER DEFAULT 0,
+      tax INTEGER DEFAULT 0,
+      profit INTEGER DEFAULT 0,
+      profit_ea INTEGER DEFAULT 0,
+      import_date ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(first_buy_time, last_sell_time, item)
+    )
+  `]
+};
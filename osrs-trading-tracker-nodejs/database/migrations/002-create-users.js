@@ -0,0 +1,14 @@
+// User accounts replace the single hardcoded admin login.
+// role is one of owner, importer, viewer (see lib/auth.js).
+module.exports = {
+  up: (t) => [`
+    CREATE TABLE users (
+      id ${t.id},
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      last_login_at ${t.timestamp}
+    )
+  `]
+};
@@ -0,0 +1,49 @@
+// Every record and setting belongs to a user, and duplicate detection is per
+// user so two traders importing the same flip don't drop each other's rows.
+//
+// SQLite can't change a table's UNIQUE constraint in place, so the table is
+// rebuilt. Ids are reassigned in their original order (nothing references
+// them yet) so the copy works with both AUTOINCREMENT and SERIAL columns.
+// Existing records go to the first owner; if there is none yet, the owner
+// created by /setup claims them.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE trading_records_new (
+      id ${t.id},
+      user_id INTEGER REFERENCES users(id),
+      first_buy_time TEXT,
+      last_sell_time TEXT,
+      account TEXT NOT NULL,
+      item TEXT NOT NULL,
+      status TEXT NOT NULL,
+      bought INTEGER DEFAULT 0,
+      sold INTEGER DEFAULT 0,
+      avg_buy_price INTEGER DEFAULT 0,
+      avg_sell_price INTEGER DEFAULT 0,
+      tax INTEGER DEFAULT 0,
+      profit INTEGER DEFAULT 0,
+      profit_ea INTEGER DEFAULT 0,
+      import_date ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, first_buy_time, last_sell_time, item)
+    )`,
+    `INSERT INTO trading_records_new
+      (first_buy_time, last_sell_time, account, item, status, bought, sold,
+       avg_buy_price, avg_sell_price, tax, profit, profit_ea, import_date)
+     SELECT first_buy_time, last_sell_time, account, item, status, bought, sold,
+       avg_buy_price, avg_sell_price, tax, profit, profit_ea, import_date
+     FROM trading_records
+     ORDER BY id`,
+    'DROP TABLE trading_records',
+    'ALTER TABLE trading_records_new RENAME TO trading_records',
+    `UPDATE trading_records
+     SET user_id = (SELECT MIN(id) FROM users WHERE role = 'owner')
+     WHERE user_id IS NULL`,
+    'CREATE INDEX idx_trading_records_user ON trading_records (user_id)',
+    `CREATE TABLE user_settings (
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      key TEXT NOT NULL,
+      value TEXT,
+      PRIMARY KEY (user_id, key)
+    )`
+  ]
+};
@@ -0,0 +1,15 @@
+// Named CSV column mappings, so exports from different tools can be
+// imported without remapping their headers every time.
+// mapping is a JSON object of our field name -> CSV header.
+module.exports = {
+  up: (t) => [`
+    CREATE TABLE import_presets (
+      id ${t.id},
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      name TEXT NOT NULL,
+      mapping TEXT NOT NULL,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, name)
+    )
+  `]
+};
@@ -0,0 +1,20 @@
+// Every confirmed import is a batch: who uploaded which file, what it added,
+// and when. Records point at the batch that inserted them so a bad upload
+// can be rolled back as a whole. Records imported before batches existed
+// have no batch.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE import_batches (
+      id ${t.id},
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      file_name TEXT NOT NULL,
+      new_records INTEGER DEFAULT 0,
+      duplicates INTEGER DEFAULT 0,
+      errors INTEGER DEFAULT 0,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      rolled_back_at ${t.timestamp}
+    )`,
+    'ALTER TABLE trading_records ADD COLUMN batch_id INTEGER REFERENCES import_batches(id)',
+    'CREATE INDEX idx_trading_records_batch ON trading_records (batch_id)'
+  ]
+};
@@ -0,0 +1,26 @@
+// Open flips (BUYING/SELLING) are updated in place when a later export shows
+// them progressing. record_history keeps the values each update overwrote,
+// tagged with the import batch that made the change so rolling that batch
+// back can restore them.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE record_history (
+      id ${t.id},
+      record_id INTEGER NOT NULL REFERENCES trading_records(id),
+      batch_id INTEGER REFERENCES import_batches(id),
+      changed_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      status TEXT,
+      last_sell_time TEXT,
+      bought INTEGER,
+      sold INTEGER,
+      avg_buy_price INTEGER,
+      avg_sell_price INTEGER,
+      tax INTEGER,
+      profit INTEGER,
+      profit_ea INTEGER
+    )`,
+    'CREATE INDEX idx_record_history_record ON record_history (record_id)',
+    'CREATE INDEX idx_record_history_batch ON record_history (batch_id)',
+    'ALTER TABLE import_batches ADD COLUMN updated INTEGER DEFAULT 0'
+  ]
+};
@@ -0,0 +1,17 @@
+// Per-user tokens for the JSON API. Only a SHA-256 hash of each token is
+// kept; prefix is its first few characters, so a user can tell tokens apart
+// on the settings page.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE api_tokens (
+      id ${t.id},
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      prefix TEXT NOT NULL,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      last_used_at ${t.timestamp}
+    )`,
+    'CREATE INDEX idx_api_tokens_user ON api_tokens (user_id)'
+  ]
+};
@@ -0,0 +1,34 @@
+// Money moved in and out of trading, so net worth and returns can tell a
+// deposit from a profit. A deposit adds GP, a withdrawal removes it, and a
+// transfer moves it from account to to_account without changing the total.
+// account is optional for deposits and withdrawals.
+//
+// This replaces the startingNetWorth setting (196M unless changed). Each
+// user with records keeps their starting stack as a deposit on the day of
+// their first trade, so existing timelines don't move. Records from before
+// accounts that no owner has claimed yet get the default deposit, unowned
+// like them, and the owner created by /setup claims both.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE capital_events (
+      id ${t.id},
+      user_id INTEGER REFERENCES users(id),
+      type TEXT NOT NULL,
+      event_date TEXT NOT NULL,
+      amount ${t.bigint} NOT NULL,
+      account TEXT,
+      to_account TEXT,
+      note TEXT,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_capital_events_user ON capital_events (user_id, event_date)',
+    `INSERT INTO capital_events (user_id, type, event_date, amount, note)
+     SELECT r.user_id, 'deposit', MIN(SUBSTRING(r.first_buy_time, 1, 10)),
+       COALESCE(CAST(s.value AS ${t.bigint}), 196000000), 'Starting net worth'
+     FROM trading_records r
+     LEFT JOIN user_settings s ON s.user_id = r.user_id AND s.key = 'startingNetWorth'
+     WHERE r.first_buy_time IS NOT NULL
+     GROUP BY r.user_id, s.value`,
+    "DELETE FROM user_settings WHERE key = 'startingNetWorth'"
+  ]
+};
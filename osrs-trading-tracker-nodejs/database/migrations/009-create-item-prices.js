@@ -0,0 +1,24 @@
+// Market prices for open positions, loaded offline from OSRS Wiki price
+// files (see lib/prices.js). item_prices only ever holds the latest
+// snapshot, by item name; price_snapshots records each load and when its
+// prices were taken.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE price_snapshots (
+      id ${t.id},
+      file_name TEXT NOT NULL,
+      taken_at TEXT,
+      item_count INTEGER NOT NULL,
+      loaded_by INTEGER REFERENCES users(id),
+      loaded_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE item_prices (
+      item TEXT PRIMARY KEY,
+      item_id INTEGER,
+      high ${t.bigint},
+      high_time TEXT,
+      low ${t.bigint},
+      low_time TEXT
+    )`
+  ]
+};
@@ -0,0 +1,23 @@
+// Who did what and when: record edits (with each changed column's old and
+// new value as JSON, { column: { from, to } }), logins, uploads and
+// deletions. user_id is null for someone not logged in, such as a failed
+// login; username keeps the name either way, so entries outlive renames.
+// created_at is UTC ISO-8601 text like the record timestamps, so the log
+// can be filtered by day the same way on both backends.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE audit_log (
+      id ${t.id},
+      user_id INTEGER REFERENCES users(id),
+      username TEXT,
+      action TEXT NOT NULL,
+      entity TEXT,
+      entity_id INTEGER,
+      changes TEXT,
+      details TEXT,
+      created_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX idx_audit_log_created ON audit_log (created_at)',
+    'CREATE INDEX idx_audit_log_entity ON audit_log (entity, entity_id)'
+  ]
+};
@@ -0,0 +1,25 @@
+// Labels for telling trading strategies apart. Tags are free-form text kept
+// per record in record_tags (no separate tags table: a tag exists while a
+// record carries it), notes are a plain column, and tag_rules hold each
+// user's auto-tag rules, which imports run over the records they touch.
+module.exports = {
+  up: (t) => [
+    'ALTER TABLE trading_records ADD COLUMN notes TEXT',
+    `CREATE TABLE record_tags (
+      record_id INTEGER NOT NULL REFERENCES trading_records(id),
+      tag TEXT NOT NULL,
+      UNIQUE (record_id, tag)
+    )`,
+    'CREATE INDEX idx_record_tags_tag ON record_tags (tag)',
+    `CREATE TABLE tag_rules (
+      id ${t.id},
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      tag TEXT NOT NULL,
+      field TEXT NOT NULL,
+      operator TEXT NOT NULL,
+      value TEXT NOT NULL,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_tag_rules_user ON tag_rules (user_id)'
+  ]
+};
@@ -0,0 +1,23 @@
+// Item catalog, loaded offline from the OSRS Wiki /mapping file (see
+// lib/items.js). items only ever holds the latest load, keyed by the Wiki's
+// item id; name_key is the lookup key imported names are matched on.
+// item_catalog_loads records each load.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE items (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL UNIQUE,
+      members ${t.boolean} NOT NULL,
+      buy_limit INTEGER,
+      high_alch INTEGER
+    )`,
+    `CREATE TABLE item_catalog_loads (
+      id ${t.id},
+      file_name TEXT NOT NULL,
+      item_count INTEGER NOT NULL,
+      loaded_by INTEGER REFERENCES users(id),
+      loaded_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`
+  ]
+};
@@ -0,0 +1,16 @@
+// Each file the watched-folder importer (lib/import-watcher.js) picked up:
+// whose records it went to, how it ended, and the batch it made when it was
+// imported. A failed file has no batch, so this is the only record of it.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE import_watch_runs (
+      id ${t.id},
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      file_name TEXT NOT NULL,
+      status TEXT NOT NULL,
+      batch_id INTEGER REFERENCES import_batches(id),
+      message TEXT,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`
+  ]
+};
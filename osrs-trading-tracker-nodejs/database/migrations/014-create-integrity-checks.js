@@ -0,0 +1,13 @@
+// The outcome of each user's latest integrity check (lib/integrity), from
+// the integrity page or the check job, so the dashboard can show it without
+// running every rule over every record on each load.
+module.exports = {
+  up: (t) => [
+    `CREATE TABLE integrity_checks (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id),
+      checked INTEGER NOT NULL,
+      flagged INTEGER NOT NULL,
+      checked_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`
+  ]
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations shared by every backend.
+//
+// Each migration lives in this directory as NNN-description.js and exports
+// `up(t)`, returning the SQL statements to run. `t` maps column types to the
+// backend's dialect so a migration is written once for SQLite and Postgres:
+//
+//   up: (t) => [`CREATE TABLE tags (id ${t.id}, name TEXT NOT NULL)`]
+//
+// Migrations only ever move forward; never edit one that has shipped.
+
+const TYPES = {
+  sqlite: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    timestamp: 'TEXT',
+    bigint: 'INTEGER',
+    boolean: 'INTEGER'
+  },
+  postgres: {
+    id: 'SERIAL PRIMARY KEY',
+    timestamp: 'TIMESTAMPTZ',
+    bigint: 'BIGINT',
+    boolean: 'BOOLEAN'
+  }
+};
+
+// Load migrations from disk, ordered by their numeric prefix
+function loadMigrations(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(/^(\d+)-(.+)\.js$/) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      ...require(path.join(dir, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+// Bring the schema up to the latest version. `db` is a Storage backend
+// exposing `dialect`, `get`, `run` and `transaction`.
+async function migrate(db, migrations = loadMigrations()) {
+  const t = TYPES[db.dialect];
+  if (!t) {
+    throw new Error(`No migration types defined for dialect "${db.dialect}"`);
+  }
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const row = await db.get('SELECT MAX(version) as version FROM schema_migrations');
+  const currentVersion = Number(row && row.version) || 0;
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Database schema is at version ${currentVersion} but this code only knows up to ` +
+      `version ${latestVersion}. Upgrade the app before starting it against this database.`
+    );
+  }
+
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+
+  for (const migration of pending) {
+    await db.transaction(async (tx) => {
+      for (const sql of migration.up(t)) {
+        await tx.run(sql);
+      }
+      await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]);
+    });
+    console.log(`🔧 Applied migration ${migration.version}: ${migration.name}`);
+  }
+
+  console.log(`✅ Database schema up to date (version ${latestVersion})`);
+  return { from: currentVersion, to: latestVersion, applied: pending.length };
+}
+
+module.exports = {
+  TYPES,
+  loadMigrations,
+  migrate
+};
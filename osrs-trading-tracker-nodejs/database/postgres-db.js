@@ -0,0 +1,100 @@
+const { Pool } = require('pg');
+const Storage = require('./storage');
+const { migrate } = require('./migrations');
+
+// Postgres backend, used in production (Vercel) when POSTGRES_URL is set
+class PostgresDatabase extends Storage {
+  constructor(options = {}) {
+    super();
+    this.connectionString = options.connectionString || process.env.POSTGRES_URL;
+    this.dialect = 'postgres';
+    // Tests can hand in a ready-made pool (e.g. an in-process stand-in)
+    this.pool = options.pool || null;
+  }
+
+  async init() {
+    await this.connect();
+    await migrate(this);
+  }
+
+  // Create the connection pool (once) without touching the schema
+  async connect() {
+    if (!this.pool) {
+      this.pool = new Pool({
+        connectionString: this.connectionString,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+      });
+    }
+
+    try {
+      await this.pool.query('SELECT 1');
+      console.log('📊 Connected to Postgres database');
+    } catch (err) {
+      console.error('Error opening database:', err);
+      throw err;
+    }
+  }
+
+  // Low-level helpers (used by migrations and shared queries). SQL is
+  // written with SQLite-style ? placeholders and rewritten to $1, $2, ...
+  async query(sql, params = [], client = this.pool) {
+    let index = 0;
+    const text = sql.replace(/\?/g, () => `$${++index}`);
+    return client.query(text, params);
+  }
+
+  async run(sql, params = [], client = this.pool) {
+    const result = await this.query(sql, params, client);
+    return {
+      id: result.rows.length > 0 ? result.rows[0].id : null,
+      changes: result.rowCount
+    };
+  }
+
+  async get(sql, params = [], client = this.pool) {
+    const { rows } = await this.query(sql, params, client);
+    return rows[0];
+  }
+
+  async all(sql, params = [], client = this.pool) {
+    const { rows } = await this.query(sql, params, client);
+    return rows;
+  }
+
+  // Run fn inside a transaction on a dedicated connection. fn receives an
+  // executor with the same run/get/all helpers bound to that connection.
+  async transaction(fn) {
+    const client = await this.pool.connect();
+
+    // The handle is this storage pinned to one client, so every Storage
+    // query method can be used inside the transaction
+    const tx = Object.create(this);
+    tx.run = (sql, params) => this.run(sql, params, client);
+    tx.get = (sql, params) => this.get(sql, params, client);
+    tx.all = (sql, params) => this.all(sql, params, client);
+    tx.transaction = (nested) => nested(tx);
+
+    try {
+      await client.query('BEGIN');
+      const result = await fn(tx);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Close database connection
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      console.log('📊 Database connection closed');
+    }
+  }
+}
+
+module.exports = PostgresDatabase;
@@ -0,0 +1,1821 @@
+// Shared storage layer. Backends (SQLite locally, Postgres on Vercel) only
+// provide the connection plus the run/get/all/transaction helpers; every
+// query lives here once, written in SQL both dialects understand. Routes only
+// talk to these methods, so backends can be swapped without touching
+// anything above the database layer.
+
+const { DEFAULT_TIME_ZONE, toDate, toTimestamp, periodBounds, previousPeriod } = require('../lib/timezone');
+const { geTax } = require('../lib/ge-tax');
+const { autoTags } = require('../lib/tags');
+const { BUY_LIMIT_LOOKBACK_HOURS, itemKey, buyLimitUsage } = require('../lib/items');
+
+// Settings every user starts with until they change them: the time zone
+// reports are bucketed in, and whether a flip's profit counts on the day it
+// was bought or the day it was sold
+const DEFAULT_SETTINGS = {
+  timezone: DEFAULT_TIME_ZONE,
+  profitAttribution: 'buy'
+};
+
+// Kinds of capital event: money added to trading, taken out, or moved
+// between accounts
+const CAPITAL_EVENT_TYPES = ['deposit', 'withdrawal', 'transfer'];
+
+// Columns an import may overwrite when it continues an open flip
+// (record field -> SQL column). The old values go to record_history.
+const TRACKED_RECORD_COLUMNS = {
+  status: 'status',
+  lastSellTime: 'last_sell_time',
+  bought: 'bought',
+  sold: 'sold',
+  avgBuyPrice: 'avg_buy_price',
+  avgSellPrice: 'avg_sell_price',
+  tax: 'tax',
+  profit: 'profit',
+  profitEa: 'profit_ea'
+};
+
+// How many records an import works through at a time (see importBatch):
+// one lookup and one insert per chunk instead of two queries per row
+const IMPORT_CHUNK_SIZE = 500;
+
+// Every column a trading record is made of (record field -> SQL column),
+// as the record forms edit them
+const RECORD_COLUMNS = {
+  firstBuyTime: 'first_buy_time',
+  account: 'account',
+  item: 'item',
+  ...TRACKED_RECORD_COLUMNS,
+  notes: 'notes'
+};
+
+// What insertRecord() writes, in order
+const INSERT_COLUMNS = `user_id, first_buy_time, last_sell_time, account, item, status, bought, sold,
+       avg_buy_price, avg_sell_price, tax, profit, profit_ea, batch_id, import_date`;
+const INSERT_VALUES = '?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP';
+
+const insertParams = (userId, record) => [
+  userId,
+  record.firstBuyTime,
+  record.lastSellTime,
+  record.account,
+  record.item,
+  record.status,
+  record.bought || 0,
+  record.sold || 0,
+  record.avgBuyPrice || 0,
+  record.avgSellPrice || 0,
+  record.tax || 0,
+  record.profit || 0,
+  record.profitEa || 0,
+  record.batchId || null
+];
+
+// Keys an import matches records on: the flip it duplicates (recordExists)
+// and the open flip it continues (findOpenRecord). Items match by itemKey(),
+// so records stored before the catalog renamed an item still match.
+const duplicateKey = (firstBuyTime, lastSellTime, item) => JSON.stringify([firstBuyTime, lastSellTime, itemKey(item)]);
+const openKey = (account, item, firstBuyTime) => JSON.stringify([account, itemKey(item), firstBuyTime]);
+
+// What the audit log records
+const AUDIT_ACTIONS = [
+  'login',
+  'login-failed',
+  'logout',
+  'record-create',
+  'record-update',
+  'record-delete',
+  'record-tag',
+  'tag-rule-create',
+  'tag-rule-delete',
+  'import',
+  'import-rollback',
+  'price-upload',
+  'catalog-upload',
+  'integrity-fix',
+  'capital-delete',
+  'preset-delete',
+  'token-revoke'
+];
+
+// Columns /records can be sorted by (query value -> SQL column)
+const RECORD_SORT_COLUMNS = {
+  item: 'item',
+  account: 'account',
+  status: 'status',
+  bought: 'bought',
+  sold: 'sold',
+  buyPrice: 'avg_buy_price',
+  sellPrice: 'avg_sell_price',
+  tax: 'tax',
+  profit: 'profit',
+  profitEa: 'profit_ea',
+  firstBuy: 'first_buy_time',
+  lastSell: 'last_sell_time',
+  imported: 'import_date'
+};
+
+// Numeric columns the integrity rules read, and the ones their fixes may
+// write
+const INTEGRITY_COLUMNS = ['bought', 'sold', 'avg_buy_price', 'avg_sell_price', 'tax', 'profit', 'profit_ea'];
+const FIXABLE_COLUMNS = ['profit', 'profit_ea'];
+
+// A record's fields as a trading_records row
+function recordRow(record) {
+  const row = {};
+  Object.entries(RECORD_COLUMNS).forEach(([key, column]) => {
+    row[column] = record[key] === undefined ? null : record[key];
+  });
+  return row;
+}
+
+// { column: { from, to } } for every record column that differs between two
+// rows, either of which may be null (a record created or deleted). Postgres
+// hands BIGINT columns back as strings, so values are compared and logged
+// as text.
+function recordChanges(before, after) {
+  const text = (value) => (value === null || value === undefined ? null : String(value));
+  const changes = {};
+  Object.values(RECORD_COLUMNS).forEach(column => {
+    const from = before ? before[column] : null;
+    const to = after ? after[column] : null;
+    if (text(from) !== text(to)) {
+      changes[column] = { from: text(from), to: text(to) };
+    }
+  });
+  return changes;
+}
+
+// The same for a record's tags, logged as one comma-separated "tags" column
+function tagChanges(before, after) {
+  const text = (tags) => (tags.length > 0 ? [...tags].sort().join(', ') : null);
+  return text(before) === text(after) ? {} : { tags: { from: text(before), to: text(after) } };
+}
+
+// Net GP a capital event adds to the money traded with, seen from one
+// account (or from all of them when account is null). Deposits and
+// withdrawals without an account only show up in the all-accounts view;
+// transfers only matter when looking at a single account.
+function capitalFlow(event, account = null) {
+  const amount = Number(event.amount);
+  if (!account) {
+    return event.type === 'deposit' ? amount : (event.type === 'withdrawal' ? -amount : 0);
+  }
+  if (event.type === 'transfer') {
+    return (event.to_account === account ? amount : 0) - (event.account === account ? amount : 0);
+  }
+  if (event.account !== account) {
+    return 0;
+  }
+  return event.type === 'deposit' ? amount : -amount;
+}
+
+// WHERE clause limiting trading_records to one user's rows, narrowed by the
+// optional view filters: { account, status, item, from, to, minProfit, maxProfit,
+// tag }.
+// from/to are YYYY-MM-DD days matched against the first buy time.
+function recordScope(userId, filters = {}) {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+
+  if (filters.account) {
+    conditions.push('account = ?');
+    params.push(filters.account);
+  }
+
+  if (filters.status) {
+    conditions.push('UPPER(status) = UPPER(?)');
+    params.push(filters.status);
+  }
+
+  // Item names never contain LIKE wildcards, so the search isn't escaped
+  if (filters.item) {
+    conditions.push('LOWER(item) LIKE ?');
+    params.push(`%${filters.item.toLowerCase()}%`);
+  }
+
+  if (filters.from) {
+    conditions.push('first_buy_time >= ?');
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    conditions.push('first_buy_time <= ?');
+    params.push(`${filters.to}T23:59:59Z`);
+  }
+
+  if (filters.minProfit != null) {
+    conditions.push('profit >= ?');
+    params.push(filters.minProfit);
+  }
+
+  if (filters.maxProfit != null) {
+    conditions.push('profit <= ?');
+    params.push(filters.maxProfit);
+  }
+
+  if (filters.tag) {
+    conditions.push('id IN (SELECT record_id FROM record_tags WHERE tag = ?)');
+    params.push(filters.tag);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+class Storage {
+  // Connect and bring the schema up to date
+  async init() {
+    throw new Error(`${this.constructor.name} does not implement init()`);
+  }
+
+  // Connect without running migrations
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  // Low-level helpers every backend provides. SQL uses ? placeholders.
+  async run(sql, params = []) {
+    throw new Error(`${this.constructor.name} does not implement run()`);
+  }
+
+  async get(sql, params = []) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  async all(sql, params = []) {
+    throw new Error(`${this.constructor.name} does not implement all()`);
+  }
+
+  async transaction(fn) {
+    throw new Error(`${this.constructor.name} does not implement transaction()`);
+  }
+
+  // Dashboard statistics for one user's records
+  async getDashboardStats(userId, filters = {}) {
+    const { where, params } = recordScope(userId, filters);
+    const [totalProfit, completedFlips, totalRecords, topFlips, topItems] = await Promise.all([
+      this.get(`SELECT SUM(profit) as total FROM trading_records WHERE ${where} AND status = 'FINISHED'`, params),
+      this.get(`SELECT COUNT(*) as count FROM trading_records WHERE ${where} AND status = 'FINISHED'`, params),
+      this.get(`SELECT COUNT(*) as count FROM trading_records WHERE ${where}`, params),
+      this.all(`SELECT * FROM trading_records WHERE ${where} ORDER BY profit DESC LIMIT 10`, params),
+      this.all(`SELECT item, SUM(profit) as "totalProfit" FROM trading_records
+                WHERE ${where} AND status = 'FINISHED' GROUP BY item ORDER BY "totalProfit" DESC LIMIT 10`, params)
+    ]);
+
+    return {
+      totalProfit: Number(totalProfit.total) || 0,
+      completedFlips: Number(completedFlips.count) || 0,
+      totalRecords: Number(totalRecords.count) || 0,
+      topFlips: topFlips,
+      topItems: topItems.map(row => ({ item: row.item, totalProfit: Number(row.totalProfit) }))
+    };
+  }
+
+  async countRecords(userId, filters = {}) {
+    const { where, params } = recordScope(userId, filters);
+    const { count } = await this.get(`SELECT COUNT(*) as count FROM trading_records WHERE ${where}`, params);
+    return Number(count);
+  }
+
+  // Get all of a user's records matching filters, newest import first
+  async getRecords(userId, filters = {}) {
+    const { where, params } = recordScope(userId, filters);
+    return this.all(`SELECT * FROM trading_records WHERE ${where} ORDER BY import_date DESC, id DESC`, params);
+  }
+
+  // One page of a user's records matching filters, sorted by any of
+  // RECORD_SORT_COLUMNS. Returns the rows plus the totals for paging.
+  async searchRecords(userId, filters = {}, { sort = 'imported', direction = 'desc', page = 1, perPage = 50 } = {}) {
+    const { where, params } = recordScope(userId, filters);
+    const column = RECORD_SORT_COLUMNS[sort] || RECORD_SORT_COLUMNS.imported;
+    const order = direction === 'asc' ? 'ASC' : 'DESC';
+
+    const { count } = await this.get(`SELECT COUNT(*) as count FROM trading_records WHERE ${where}`, params);
+    const total = Number(count);
+    const pages = Math.max(1, Math.ceil(total / perPage));
+    const currentPage = Math.min(Math.max(1, page), pages);
+
+    const records = await this.all(
+      `SELECT * FROM trading_records WHERE ${where}
+       ORDER BY ${column} ${order}, id ${order}
+       LIMIT ? OFFSET ?`,
+      [...params, perPage, (currentPage - 1) * perPage]
+    );
+    const tags = await this.getRecordTags(records.map(record => record.id));
+    records.forEach(record => {
+      record.tags = tags.get(record.id) || [];
+    });
+
+    return { records, total, page: currentPage, pages, perPage };
+  }
+
+  // Distinct OSRS accounts the user has records for
+  async getAccounts(userId) {
+    const rows = await this.all(
+      'SELECT DISTINCT account FROM trading_records WHERE user_id = ? ORDER BY account',
+      [userId]
+    );
+    return rows.map(row => row.account);
+  }
+
+  // Side-by-side stats per OSRS account: profit, flips, win rate, GP/day, top items
+  async getAccountComparison(userId, topItemCount = 3) {
+    const [accounts, itemProfits] = await Promise.all([
+      this.all(`
+        SELECT
+          account,
+          SUM(CASE WHEN status = 'FINISHED' THEN profit ELSE 0 END) as "totalProfit",
+          COUNT(CASE WHEN status = 'FINISHED' THEN 1 END) as flips,
+          COUNT(CASE WHEN status = 'FINISHED' AND profit > 0 THEN 1 END) as wins,
+          COUNT(DISTINCT SUBSTRING(first_buy_time, 1, 10)) as "tradingDays",
+          COUNT(*) as "totalRecords"
+        FROM trading_records
+        WHERE user_id = ?
+        GROUP BY account
+        ORDER BY account
+      `, [userId]),
+      this.all(`
+        SELECT account, item, SUM(profit) as "totalProfit"
+        FROM trading_records
+        WHERE user_id = ? AND status = 'FINISHED'
+        GROUP BY account, item
+        ORDER BY account, "totalProfit" DESC
+      `, [userId])
+    ]);
+
+    return accounts.map(row => {
+      const totalProfit = Number(row.totalProfit) || 0;
+      const flips = Number(row.flips);
+      const tradingDays = Number(row.tradingDays);
+
+      return {
+        account: row.account,
+        totalProfit: totalProfit,
+        flips: flips,
+        totalRecords: Number(row.totalRecords),
+        winRate: flips > 0 ? (Number(row.wins) * 100) / flips : 0,
+        tradingDays: tradingDays,
+        gpPerDay: tradingDays > 0 ? totalProfit / tradingDays : 0,
+        topItems: itemProfits
+          .filter(item => item.account === row.account)
+          .slice(0, topItemCount)
+          .map(item => ({ item: item.item, totalProfit: Number(item.totalProfit) }))
+      };
+    });
+  }
+
+  // Per-item totals for a user's records matching filters, most profitable first
+  async getItemStats(userId, filters = {}) {
+    const { where, params } = recordScope(userId, filters);
+    const rows = await this.all(`
+      SELECT
+        item,
+        COUNT(CASE WHEN status = 'FINISHED' THEN 1 END) as flips,
+        COUNT(CASE WHEN status = 'FINISHED' AND profit > 0 THEN 1 END) as wins,
+        SUM(CASE WHEN status = 'FINISHED' THEN profit ELSE 0 END) as "totalProfit",
+        SUM(CASE WHEN status = 'FINISHED' THEN tax ELSE 0 END) as "totalTax",
+        SUM(bought) as bought,
+        SUM(sold) as sold,
+        MIN(first_buy_time) as "firstTraded",
+        MAX(COALESCE(last_sell_time, first_buy_time)) as "lastTraded"
+      FROM trading_records
+      WHERE ${where}
+      GROUP BY item
+      ORDER BY "totalProfit" DESC, item
+    `, params);
+
+    return rows.map(row => {
+      const flips = Number(row.flips);
+      const totalProfit = Number(row.totalProfit) || 0;
+      return {
+        item: row.item,
+        flips: flips,
+        totalProfit: totalProfit,
+        avgProfit: flips > 0 ? Math.round(totalProfit / flips) : 0,
+        winRate: flips > 0 ? (Number(row.wins) * 100) / flips : 0,
+        totalTax: Number(row.totalTax) || 0,
+        bought: Number(row.bought) || 0,
+        sold: Number(row.sold) || 0,
+        firstTraded: row.firstTraded,
+        lastTraded: row.lastTraded
+      };
+    });
+  }
+
+  // Everything about one item (matched exactly): its records, newest buy
+  // first, lifetime totals, and its prices, margin and profit per day of
+  // first buy. Hold time runs from first buy to last sell of finished flips,
+  // and profit per hour is their profit over the hours they were held.
+  // Resolves to null when the user has no records of the item.
+  async getItemDetail(userId, item, filters = {}) {
+    const { where, params } = recordScope(userId, filters);
+    const [records, days] = await Promise.all([
+      this.all(
+        `SELECT * FROM trading_records WHERE ${where} AND item = ? ORDER BY first_buy_time DESC, id DESC`,
+        [...params, item]
+      ),
+      this.all(`
+        SELECT
+          SUBSTRING(first_buy_time, 1, 10) as day,
+          COUNT(CASE WHEN status = 'FINISHED' THEN 1 END) as flips,
+          SUM(bought) as bought,
+          SUM(sold) as sold,
+          SUM(CAST(bought AS BIGINT) * avg_buy_price) as "buyValue",
+          SUM(CAST(sold AS BIGINT) * avg_sell_price) as "sellValue",
+          SUM(CASE WHEN status = 'FINISHED' THEN profit ELSE 0 END) as profit
+        FROM trading_records
+        WHERE ${where} AND item = ? AND first_buy_time IS NOT NULL
+        GROUP BY SUBSTRING(first_buy_time, 1, 10)
+        ORDER BY day
+      `, [...params, item])
+    ]);
+
+    if (records.length === 0) {
+      return null;
+    }
+
+    // Quantity-weighted average price, or null when nothing changed hands
+    const averagePrice = (value, quantity) => (quantity > 0 ? Math.round(value / quantity) : null);
+    const margins = (buyPrice, sellPrice) => ({
+      margin: buyPrice !== null && sellPrice !== null ? sellPrice - buyPrice : null,
+      marginPercent: buyPrice && sellPrice !== null ? ((sellPrice - buyPrice) * 100) / buyPrice : null
+    });
+
+    const totals = { flips: 0, wins: 0, profit: 0, tax: 0, bought: 0, sold: 0, buyValue: 0, sellValue: 0, heldMs: 0, heldFlips: 0, heldProfit: 0 };
+    records.forEach(record => {
+      totals.bought += Number(record.bought) || 0;
+      totals.sold += Number(record.sold) || 0;
+      totals.buyValue += (Number(record.bought) || 0) * (Number(record.avg_buy_price) || 0);
+      totals.sellValue += (Number(record.sold) || 0) * (Number(record.avg_sell_price) || 0);
+      if (record.status !== 'FINISHED') {
+        return;
+      }
+
+      totals.flips++;
+      totals.wins += record.profit > 0 ? 1 : 0;
+      totals.profit += Number(record.profit) || 0;
+      totals.tax += Number(record.tax) || 0;
+
+      const held = Date.parse(record.last_sell_time) - Date.parse(record.first_buy_time);
+      if (held >= 0) {
+        totals.heldMs += held;
+        totals.heldFlips++;
+        totals.heldProfit += Number(record.profit) || 0;
+      }
+    });
+
+    const avgBuyPrice = averagePrice(totals.buyValue, totals.bought);
+    const avgSellPrice = averagePrice(totals.sellValue, totals.sold);
+    const heldHours = totals.heldMs / 3600000;
+
+    return {
+      item: item,
+      records: records,
+      summary: {
+        totalRecords: records.length,
+        flips: totals.flips,
+        totalProfit: totals.profit,
+        avgProfit: totals.flips > 0 ? Math.round(totals.profit / totals.flips) : 0,
+        winRate: totals.flips > 0 ? (totals.wins * 100) / totals.flips : 0,
+        totalTax: totals.tax,
+        bought: totals.bought,
+        sold: totals.sold,
+        avgBuyPrice: avgBuyPrice,
+        avgSellPrice: avgSellPrice,
+        ...margins(avgBuyPrice, avgSellPrice),
+        avgHoldHours: totals.heldFlips > 0 ? heldHours / totals.heldFlips : null,
+        profitPerHour: heldHours > 0 ? Math.round(totals.heldProfit / heldHours) : null
+      },
+      history: days.map(row => {
+        const buyPrice = averagePrice(Number(row.buyValue) || 0, Number(row.bought) || 0);
+        const sellPrice = averagePrice(Number(row.sellValue) || 0, Number(row.sold) || 0);
+        return {
+          date: row.day,
+          flips: Number(row.flips),
+          bought: Number(row.bought) || 0,
+          sold: Number(row.sold) || 0,
+          avgBuyPrice: buyPrice,
+          avgSellPrice: sellPrice,
+          ...margins(buyPrice, sellPrice),
+          profit: Number(row.profit) || 0
+        };
+      })
+    };
+  }
+
+  // Unfinished flips (anything not FINISHED), oldest buy first, marked to
+  // the latest price snapshot. Per position: the quantity still unsold
+  // (bought less sold), the capital tied up in it at the average buy price
+  // and its age in hours; when the item has a price, also its mark (the
+  // instant-sell price, or the instant-buy one when there's no sell), market
+  // value, and the unrealised profit selling there would make after GE tax.
+  // totals add them up; market value and unrealised profit only count the
+  // priced positions.
+  async getOpenPositions(userId, filters = {}, now = Date.now()) {
+    const { where, params } = recordScope(userId, filters);
+    const rows = await this.all(`
+      WITH positions AS (
+        SELECT * FROM trading_records WHERE ${where} AND status <> 'FINISHED'
+      )
+      SELECT positions.*, prices.high as price_high, prices.low as price_low
+      FROM positions
+      LEFT JOIN item_prices prices ON prices.item = positions.item
+      ORDER BY positions.first_buy_time, positions.id
+    `, params);
+
+    const totals = { positions: rows.length, priced: 0, unsold: 0, capital: 0, marketValue: 0, unrealised: 0 };
+    const positions = rows.map(({ price_high: high, price_low: low, ...record }) => {
+      const unsold = Math.max(0, (Number(record.bought) || 0) - (Number(record.sold) || 0));
+      const capital = unsold * (Number(record.avg_buy_price) || 0);
+      const mark = low !== null ? Number(low) : (high !== null ? Number(high) : null);
+      const started = Date.parse(record.first_buy_time);
+
+      const position = {
+        ...record,
+        unsold,
+        capital,
+        ageHours: Number.isNaN(started) ? null : Math.max(0, now - started) / 3600000,
+        mark,
+        marketValue: mark !== null ? unsold * mark : null,
+        unrealised: mark !== null ? unsold * (mark - geTax(mark, { item: record.item })) - capital : null
+      };
+
+      totals.unsold += unsold;
+      totals.capital += capital;
+      if (mark !== null) {
+        totals.priced++;
+        totals.marketValue += position.marketValue;
+        totals.unrealised += position.unrealised;
+      }
+      return position;
+    });
+
+    return { positions, totals };
+  }
+
+  // Every record that sold something, latest sale first, with just what the
+  // GE tax rules need (lib/ge-tax)
+  async getTaxRecords(userId, filters = {}) {
+    const { where, params } = recordScope(userId, filters);
+    const rows = await this.all(`
+      SELECT id, first_buy_time, last_sell_time, account, item, status, sold, avg_sell_price, tax, profit
+      FROM trading_records
+      WHERE ${where} AND sold > 0
+      ORDER BY COALESCE(last_sell_time, first_buy_time) DESC, id DESC
+    `, params);
+
+    return rows.map(row => ({
+      ...row,
+      sold: Number(row.sold),
+      avg_sell_price: Number(row.avg_sell_price) || 0,
+      tax: Number(row.tax) || 0,
+      profit: Number(row.profit) || 0
+    }));
+  }
+
+  // All of a user's records with the columns the integrity rules check
+  // (lib/integrity), numbers as numbers
+  async getIntegrityRecords(userId) {
+    const rows = await this.all(`
+      SELECT id, first_buy_time, last_sell_time, account, item, status,
+             bought, sold, avg_buy_price, avg_sell_price, tax, profit, profit_ea
+      FROM trading_records
+      WHERE user_id = ?
+      ORDER BY first_buy_time DESC, id DESC
+    `, [userId]);
+
+    return rows.map(row => ({
+      ...row,
+      ...Object.fromEntries(INTEGRITY_COLUMNS.map(column => [column, Number(row[column]) || 0]))
+    }));
+  }
+
+  // Keep the counts from a user's latest integrity check ({ checked,
+  // flagged }, as checkIntegrity() reports them)
+  async saveIntegrityCheck(userId, { checked, flagged }) {
+    return this.run(`
+      INSERT INTO integrity_checks (user_id, checked, flagged) VALUES (?, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET checked = excluded.checked, flagged = excluded.flagged, checked_at = CURRENT_TIMESTAMP
+    `, [userId, checked, flagged]);
+  }
+
+  // { checked, flagged, checked_at } from the user's latest check, or null
+  async getIntegrityCheck(userId) {
+    const row = await this.get('SELECT checked, flagged, checked_at FROM integrity_checks WHERE user_id = ?', [userId]);
+    return row ? { ...row, checked: Number(row.checked), flagged: Number(row.flagged) } : null;
+  }
+
+  // Apply integrity fixes, [{ id, changes: { profit, profit_ea } }], to a
+  // user's records in one transaction, logging a record-update by actor for
+  // each record that changed. Only the derived columns a fix may recompute
+  // are written. Resolves to the number of records changed.
+  async applyRecordFixes(userId, fixes, actor) {
+    return this.transaction(async (tx) => {
+      let changed = 0;
+      for (const { id, changes: fix } of fixes) {
+        const columns = Object.keys(fix).filter(column => FIXABLE_COLUMNS.includes(column));
+        const existing = columns.length > 0
+          ? await tx.get('SELECT * FROM trading_records WHERE user_id = ? AND id = ?', [userId, id])
+          : null;
+        if (!existing) {
+          continue;
+        }
+
+        const changes = recordChanges(existing, { ...existing, ...Object.fromEntries(columns.map(column => [column, fix[column]])) });
+        if (Object.keys(changes).length === 0) {
+          continue;
+        }
+        await tx.run(
+          `UPDATE trading_records SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE user_id = ? AND id = ?`,
+          [...columns.map(column => fix[column]), userId, id]
+        );
+        await tx.logAudit(actor, 'record-update', {
+          entity: 'trading_record',
+          entityId: existing.id,
+          changes,
+          details: existing.item
+        });
+        changed++;
+      }
+      return changed;
+    });
+  }
+
+  // Insert a new trading record owned by userId, resolves to { id, changes }.
+  // Rows that duplicate one of the same user's flips are skipped.
+  // record.batchId links the row to the import batch that added it.
+  async insertRecord(userId, record) {
+    const query = `
+      INSERT INTO trading_records (${INSERT_COLUMNS})
+      VALUES (${INSERT_VALUES})
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `;
+
+    const result = await this.run(query, insertParams(userId, record));
+    return {
+      id: result.changes > 0 ? result.id : null,
+      changes: result.changes
+    };
+  }
+
+  // insertRecord() for many records in one statement. Resolves to how many
+  // were inserted.
+  async insertRecords(userId, records, batchId = null) {
+    if (records.length === 0) {
+      return 0;
+    }
+
+    const result = await this.run(`
+      INSERT INTO trading_records (${INSERT_COLUMNS})
+      VALUES ${records.map(() => `(${INSERT_VALUES})`).join(', ')}
+      ON CONFLICT DO NOTHING
+    `, records.flatMap(record => insertParams(userId, { ...record, batchId })));
+    return result.changes;
+  }
+
+  // Check if one of the user's records already covers this flip (for
+  // duplicate detection), leaving out the record exceptId. The item matches
+  // by itemKey(), like duplicateKey.
+  async recordExists(userId, firstBuyTime, lastSellTime, item, exceptId = null) {
+    const rows = await this.all(`
+      SELECT item FROM trading_records
+      WHERE user_id = ? AND first_buy_time = ? AND last_sell_time = ? AND id <> ?
+    `, [userId, firstBuyTime, lastSellTime, exceptId || 0]);
+    return rows.some(row => itemKey(row.item) === itemKey(item));
+  }
+
+  // The newest open (not yet FINISHED) flip a record would continue: same
+  // account, item (by itemKey()) and first buy time
+  async findOpenRecord(userId, { account, item, firstBuyTime }) {
+    const rows = await this.all(`
+      SELECT * FROM trading_records
+      WHERE user_id = ? AND account = ? AND first_buy_time = ? AND status <> 'FINISHED'
+      ORDER BY id DESC
+    `, [userId, account, firstBuyTime]);
+    return rows.find(row => itemKey(row.item) === itemKey(item)) || null;
+  }
+
+  // Overwrite an open flip with newer values from an import, saving the old
+  // ones to record_history first. Resolves to false when nothing changed.
+  async updateOpenRecord(existing, record, batchId = null) {
+    const columns = Object.values(TRACKED_RECORD_COLUMNS);
+    const values = Object.keys(TRACKED_RECORD_COLUMNS).map(key => {
+      const value = record[key];
+      return value === undefined || value === '' ? (key === 'lastSellTime' || key === 'status' ? null : 0) : value;
+    });
+
+    // Postgres hands BIGINT columns back as strings, so compare as text
+    const same = (a, b) => (a === null || a === undefined ? null : String(a)) === (b === null ? null : String(b));
+    if (columns.every((column, index) => same(existing[column], values[index]))) {
+      return false;
+    }
+
+    await this.run(`
+      INSERT INTO record_history (record_id, batch_id, ${columns.join(', ')})
+      VALUES (?, ?, ${columns.map(() => '?').join(', ')})
+    `, [existing.id, batchId, ...columns.map(column => existing[column])]);
+
+    await this.run(
+      `UPDATE trading_records SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...values, existing.id]
+    );
+    return true;
+  }
+
+  // Import one record: skip it if the user already has this exact flip,
+  // update the open flip it continues, or insert it.
+  // Resolves to 'duplicate', 'updated' or 'created'.
+  async importRecord(userId, record, batchId = null) {
+    if (await this.recordExists(userId, record.firstBuyTime, record.lastSellTime, record.item)) {
+      return 'duplicate';
+    }
+
+    const open = await this.findOpenRecord(userId, record);
+    if (open) {
+      return (await this.updateOpenRecord(open, record, batchId)) ? 'updated' : 'duplicate';
+    }
+
+    const result = await this.insertRecord(userId, { ...record, batchId });
+    return result.changes > 0 ? 'created' : 'duplicate';
+  }
+
+  // importRecord() for a chunk of records, with the same outcomes: one query
+  // finds the flips they duplicate or continue, open flips are updated one by
+  // one and the new ones inserted together. A record that duplicates or
+  // continues one earlier in the chunk waits until those are written and
+  // starts the next round. Resolves to { created, updated, duplicates }.
+  async importRecords(userId, records, batchId = null) {
+    const counts = { created: 0, updated: 0, duplicates: 0 };
+    let remaining = records;
+
+    while (remaining.length > 0) {
+      const times = [...new Set(remaining.map(record => record.firstBuyTime))];
+      const existing = await this.all(
+        `SELECT * FROM trading_records WHERE user_id = ? AND first_buy_time IN (${times.map(() => '?').join(', ')}) ORDER BY id`,
+        [userId, ...times]
+      );
+      const duplicates = new Set(existing
+        .filter(row => row.last_sell_time !== null)
+        .map(row => duplicateKey(row.first_buy_time, row.last_sell_time, row.item)));
+      // The newest open flip wins, as in findOpenRecord()
+      const open = new Map(existing
+        .filter(row => row.status !== 'FINISHED')
+        .map(row => [openKey(row.account, row.item, row.first_buy_time), row]));
+
+      // Keys of the records written this round
+      const written = new Set();
+      const inserts = [];
+      let next = remaining.length;
+
+      for (let index = 0; index < remaining.length; index++) {
+        const record = remaining[index];
+        const keys = [openKey(record.account, record.item, record.firstBuyTime)];
+        if (record.lastSellTime !== null && record.lastSellTime !== undefined) {
+          keys.push(duplicateKey(record.firstBuyTime, record.lastSellTime, record.item));
+        }
+        if (keys.some(key => written.has(key))) {
+          next = index;
+          break;
+        }
+
+        if (keys.length > 1 && duplicates.has(keys[1])) {
+          counts.duplicates++;
+          continue;
+        }
+        keys.forEach(key => written.add(key));
+
+        const flip = open.get(keys[0]);
+        if (!flip) {
+          inserts.push(record);
+        } else if (await this.updateOpenRecord(flip, record, batchId)) {
+          counts.updated++;
+        } else {
+          counts.duplicates++;
+        }
+      }
+
+      const inserted = await this.insertRecords(userId, inserts, batchId);
+      counts.created += inserted;
+      counts.duplicates += inserts.length - inserted;
+      remaining = remaining.slice(next);
+    }
+
+    return counts;
+  }
+
+  // Values each import overwrote on a record, newest first
+  async getRecordHistory(recordId) {
+    return this.all('SELECT * FROM record_history WHERE record_id = ? ORDER BY id DESC', [recordId]);
+  }
+
+  // One of the user's records with its tags, or null
+  async getRecord(userId, id) {
+    const row = await this.get('SELECT * FROM trading_records WHERE user_id = ? AND id = ?', [userId, id]);
+    if (!row) {
+      return null;
+    }
+    const tags = await this.getRecordTags([row.id]);
+    return { ...row, tags: tags.get(row.id) || [] };
+  }
+
+  // Records added, edited and deleted by hand. record has the import fields
+  // (lib/csv-import) plus notes and tags (a list, from lib/tags); actor
+  // ({ id, username }) is who made the change, which goes to the audit log in
+  // the same transaction.
+
+  // Resolves to the new record's id, or null if the user already has it
+  async createRecord(userId, input, actor) {
+    return this.transaction(async (tx) => {
+      const record = { ...input, item: await tx.canonicalItemName(input.item) };
+      const { id } = await tx.insertRecord(userId, record);
+      if (id === null) {
+        return null;
+      }
+      if (record.notes) {
+        await tx.run('UPDATE trading_records SET notes = ? WHERE id = ?', [record.notes, id]);
+      }
+      const tags = record.tags || [];
+      await tx.setRecordTags(id, tags);
+
+      await tx.logAudit(actor, 'record-create', {
+        entity: 'trading_record',
+        entityId: id,
+        changes: { ...recordChanges(null, recordRow(record)), ...tagChanges([], tags) },
+        details: record.item
+      });
+      return id;
+    });
+  }
+
+  // Resolves to the changes made ({ column: { from, to } }, empty when
+  // nothing changed), or null if the user has no such record. Throws rather
+  // than turn the record into a duplicate of another.
+  async updateRecord(userId, id, input, actor) {
+    return this.transaction(async (tx) => {
+      const existing = await tx.getRecord(userId, id);
+      if (!existing) {
+        return null;
+      }
+      const record = { ...input, item: await tx.canonicalItemName(input.item) };
+
+      const row = recordRow(record);
+      const changes = {
+        ...recordChanges(existing, row),
+        ...(record.tags ? tagChanges(existing.tags, record.tags) : {})
+      };
+      if (Object.keys(changes).length === 0) {
+        return changes;
+      }
+      if (await tx.recordExists(userId, record.firstBuyTime, record.lastSellTime, record.item, existing.id)) {
+        throw new Error('another record already has this item, first buy time and last sell time');
+      }
+
+      const columns = Object.keys(row);
+      await tx.run(
+        `UPDATE trading_records SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE user_id = ? AND id = ?`,
+        [...columns.map(column => row[column]), userId, existing.id]
+      );
+      if (changes.tags) {
+        await tx.setRecordTags(existing.id, record.tags);
+      }
+      await tx.logAudit(actor, 'record-update', {
+        entity: 'trading_record',
+        entityId: existing.id,
+        changes,
+        details: record.item
+      });
+      return changes;
+    });
+  }
+
+  // Delete a record along with its tags and the values imports overwrote on
+  // it. Resolves to the deleted row, or null if the user has no such record.
+  async deleteRecord(userId, id, actor) {
+    return this.transaction(async (tx) => {
+      const existing = await tx.getRecord(userId, id);
+      if (!existing) {
+        return null;
+      }
+
+      await tx.run('DELETE FROM record_history WHERE record_id = ?', [existing.id]);
+      await tx.run('DELETE FROM record_tags WHERE record_id = ?', [existing.id]);
+      await tx.run('DELETE FROM trading_records WHERE user_id = ? AND id = ?', [userId, existing.id]);
+      await tx.logAudit(actor, 'record-delete', {
+        entity: 'trading_record',
+        entityId: existing.id,
+        changes: { ...recordChanges(existing, null), ...tagChanges(existing.tags, []) },
+        details: existing.item
+      });
+      return existing;
+    });
+  }
+
+  // Tags on each of recordIds, as a Map of record id -> sorted tags
+  async getRecordTags(recordIds) {
+    const tags = new Map();
+    if (recordIds.length === 0) {
+      return tags;
+    }
+
+    const rows = await this.all(
+      `SELECT record_id, tag FROM record_tags WHERE record_id IN (${recordIds.map(() => '?').join(', ')}) ORDER BY tag`,
+      recordIds
+    );
+    rows.forEach(row => {
+      tags.set(row.record_id, [...(tags.get(row.record_id) || []), row.tag]);
+    });
+    return tags;
+  }
+
+  // Replace a record's tags
+  async setRecordTags(recordId, tags) {
+    await this.run('DELETE FROM record_tags WHERE record_id = ?', [recordId]);
+    for (const tag of tags) {
+      await this.run('INSERT INTO record_tags (record_id, tag) VALUES (?, ?) ON CONFLICT DO NOTHING', [recordId, tag]);
+    }
+  }
+
+  // Add a tag to every one of ids that is the user's record, or with remove,
+  // take it off them. Resolves to how many records changed.
+  async tagRecords(userId, ids, tag, actor, { remove = false } = {}) {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    return this.transaction(async (tx) => {
+      const owned = await tx.all(
+        `SELECT id FROM trading_records WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+        [userId, ...ids]
+      );
+
+      let changed = 0;
+      for (const { id } of owned) {
+        const result = remove
+          ? await tx.run('DELETE FROM record_tags WHERE record_id = ? AND tag = ?', [id, tag])
+          : await tx.run('INSERT INTO record_tags (record_id, tag) VALUES (?, ?) ON CONFLICT DO NOTHING', [id, tag]);
+        changed += result.changes;
+      }
+
+      if (changed > 0) {
+        await tx.logAudit(actor, 'record-tag', {
+          details: remove ? `removed "${tag}" from ${changed} records` : `added "${tag}" to ${changed} records`
+        });
+      }
+      return changed;
+    });
+  }
+
+  // The user's tags with how many records carry each, by name
+  async listTags(userId) {
+    const rows = await this.all(`
+      SELECT record_tags.tag, COUNT(*) as records
+      FROM record_tags
+      JOIN trading_records ON trading_records.id = record_tags.record_id
+      WHERE trading_records.user_id = ?
+      GROUP BY record_tags.tag
+      ORDER BY record_tags.tag
+    `, [userId]);
+    return rows.map(row => ({ tag: row.tag, records: Number(row.records) }));
+  }
+
+  // Side-by-side stats per tag for records matching filters, most profitable
+  // first: profit, flips, win rate, average profit per flip and return on
+  // the GP spent buying what sold. Untagged records come last as tag null.
+  // A record with two tags counts towards both.
+  async getTagComparison(userId, filters = {}) {
+    const { where, params } = recordScope(userId, filters);
+    const rows = await this.all(`
+      WITH scoped AS (
+        SELECT * FROM trading_records WHERE ${where}
+      )
+      SELECT
+        record_tags.tag,
+        SUM(CASE WHEN scoped.status = 'FINISHED' THEN scoped.profit ELSE 0 END) as "totalProfit",
+        COUNT(CASE WHEN scoped.status = 'FINISHED' THEN 1 END) as flips,
+        COUNT(CASE WHEN scoped.status = 'FINISHED' AND scoped.profit > 0 THEN 1 END) as wins,
+        SUM(CASE WHEN scoped.status = 'FINISHED' THEN CAST(scoped.sold AS BIGINT) * scoped.avg_buy_price ELSE 0 END) as cost,
+        COUNT(*) as "totalRecords"
+      FROM scoped
+      LEFT JOIN record_tags ON record_tags.record_id = scoped.id
+      GROUP BY record_tags.tag
+    `, params);
+
+    return rows
+      .map(row => {
+        const totalProfit = Number(row.totalProfit) || 0;
+        const flips = Number(row.flips);
+        const cost = Number(row.cost) || 0;
+
+        return {
+          tag: row.tag,
+          totalProfit: totalProfit,
+          flips: flips,
+          totalRecords: Number(row.totalRecords),
+          winRate: flips > 0 ? (Number(row.wins) * 100) / flips : 0,
+          avgProfit: flips > 0 ? Math.round(totalProfit / flips) : 0,
+          roi: cost > 0 ? (totalProfit * 100) / cost : null
+        };
+      })
+      .sort((a, b) => (a.tag === null) - (b.tag === null) || b.totalProfit - a.totalProfit);
+  }
+
+  // Auto-tag rules (see lib/tags), oldest first
+  async listTagRules(userId) {
+    return this.all('SELECT * FROM tag_rules WHERE user_id = ? ORDER BY id', [userId]);
+  }
+
+  async createTagRule(userId, { tag, field, operator, value }) {
+    const result = await this.run(
+      'INSERT INTO tag_rules (user_id, tag, field, operator, value) VALUES (?, ?, ?, ?, ?) RETURNING id',
+      [userId, tag, field, operator, String(value)]
+    );
+    return result.id;
+  }
+
+  async deleteTagRule(userId, id) {
+    return this.run('DELETE FROM tag_rules WHERE user_id = ? AND id = ?', [userId, id]);
+  }
+
+  // Run the user's auto-tag rules over their records, or only those an
+  // import batch added or updated. Tags are only ever added, so removing
+  // one by hand sticks until the rules run over the record again. Resolves
+  // to how many tags were added.
+  async applyTagRules(userId, { batchId = null } = {}) {
+    const rules = await this.listTagRules(userId);
+    if (rules.length === 0) {
+      return 0;
+    }
+
+    const records = batchId
+      ? await this.all(`
+          SELECT * FROM trading_records
+          WHERE user_id = ? AND (batch_id = ? OR id IN (SELECT record_id FROM record_history WHERE batch_id = ?))
+        `, [userId, batchId, batchId])
+      : await this.all('SELECT * FROM trading_records WHERE user_id = ?', [userId]);
+
+    let added = 0;
+    for (const record of records) {
+      for (const tag of autoTags(rules, record)) {
+        const result = await this.run('INSERT INTO record_tags (record_id, tag) VALUES (?, ?) ON CONFLICT DO NOTHING', [record.id, tag]);
+        added += result.changes;
+      }
+    }
+    return added;
+  }
+
+  // Hand records imported before accounts existed, and the starting deposit
+  // made for them, to the given user. Resolves to the records update.
+  async claimUnownedRecords(userId) {
+    return this.transaction(async (tx) => {
+      await tx.run('UPDATE capital_events SET user_id = ? WHERE user_id IS NULL', [userId]);
+      return tx.run('UPDATE trading_records SET user_id = ? WHERE user_id IS NULL', [userId]);
+    });
+  }
+
+  // Returns per reporting period (day, week, month or year; see
+  // lib/timezone), newest first, in one pass over the records. Each flip
+  // lands in the period of the reporting time zone it was bought in, or with
+  // attribution 'sell' the one it was sold in (open flips stay with their
+  // buy). Timestamps are stored as UTC ISO-8601 text, so the periods' start
+  // and end instants are compared with them as text. Per period: trade
+  // counts, distinct items, GP volume (bought plus sold value), tax, finished
+  // profit, wins and losses, the average margin of finished flips (profit
+  // over what the sold items cost) and the best (topItem) and worst finished
+  // flip. Ties for best or worst go to the alphabetically first item.
+  async getPeriodReturns(userId, filters = {}, { period = 'day', timezone = DEFAULT_TIME_ZONE, attribution = 'buy' } = {}) {
+    const { where, params } = recordScope(userId, filters);
+    const time = attribution === 'sell' ? 'COALESCE(last_sell_time, first_buy_time)' : 'first_buy_time';
+
+    const range = await this.get(
+      `SELECT MIN(${time}) as first, MAX(${time}) as last FROM trading_records WHERE ${where} AND first_buy_time IS NOT NULL`,
+      params
+    );
+    if (!range || !range.first) {
+      return [];
+    }
+
+    // VALUES columns are column1..3 in both dialects: key, start, end
+    const bounds = periodBounds(period, range.first, range.last, timezone);
+    const rows = await this.all(`
+      WITH bounds AS (
+        VALUES ${bounds.map(() => '(?, ?, ?)').join(', ')}
+      ),
+      scoped AS (
+        SELECT bounds.column1 as period, item, status, bought, sold, avg_buy_price, avg_sell_price, tax, profit
+        FROM trading_records
+        JOIN bounds ON ${time} >= bounds.column2 AND ${time} < bounds.column3
+        WHERE ${where} AND first_buy_time IS NOT NULL
+      ),
+      periods AS (
+        SELECT
+          period,
+          COUNT(*) as "totalTrades",
+          COUNT(DISTINCT item) as items,
+          SUM(CAST(bought AS BIGINT) * avg_buy_price + CAST(sold AS BIGINT) * avg_sell_price) as volume,
+          SUM(tax) as tax,
+          SUM(CASE WHEN status = 'FINISHED' THEN profit ELSE 0 END) as profit,
+          COUNT(CASE WHEN status = 'FINISHED' THEN 1 END) as "finishedTrades",
+          COUNT(CASE WHEN status = 'SELLING' THEN 1 END) as "activeTrades",
+          COUNT(CASE WHEN status = 'FINISHED' AND profit > 0 THEN 1 END) as wins,
+          COUNT(CASE WHEN status = 'FINISHED' AND profit < 0 THEN 1 END) as losses,
+          AVG(CASE WHEN status = 'FINISHED' AND sold > 0 AND avg_buy_price > 0
+            THEN profit * 100.0 / (CAST(sold AS BIGINT) * avg_buy_price) END) as "avgMargin",
+          MAX(CASE WHEN status = 'FINISHED' THEN profit END) as "bestProfit",
+          MIN(CASE WHEN status = 'FINISHED' THEN profit END) as "worstProfit"
+        FROM scoped
+        GROUP BY period
+      )
+      SELECT periods.*, best.item as "bestItem", worst.item as "worstItem"
+      FROM periods
+      LEFT JOIN scoped best ON best.period = periods.period AND best.status = 'FINISHED' AND best.profit = periods."bestProfit"
+      LEFT JOIN scoped worst ON worst.period = periods.period AND worst.status = 'FINISHED' AND worst.profit = periods."worstProfit"
+      ORDER BY periods.period DESC, best.item, worst.item
+    `, [...bounds.flatMap(bound => [bound.period, bound.starts, bound.ends]), ...params]);
+
+    // Tied best or worst flips repeat a period; its first row wins
+    const periodData = [];
+    rows.forEach(row => {
+      if (periodData.length > 0 && periodData[periodData.length - 1].period === row.period) {
+        return;
+      }
+      const finished = Number(row.finishedTrades);
+      periodData.push({
+        period: row.period,
+        totalTrades: Number(row.totalTrades),
+        items: Number(row.items),
+        volume: Number(row.volume) || 0,
+        tax: Number(row.tax) || 0,
+        profit: Number(row.profit) || 0,
+        finishedTrades: finished,
+        activeTrades: Number(row.activeTrades),
+        wins: Number(row.wins),
+        losses: Number(row.losses),
+        avgMargin: row.avgMargin === null ? null : Number(row.avgMargin),
+        topItem: finished > 0 ? row.bestItem : 'No completed trades',
+        topItemProfit: finished > 0 ? Number(row.bestProfit) : 0,
+        worstItem: finished > 0 ? row.worstItem : null,
+        worstProfit: finished > 0 ? Number(row.worstProfit) : 0
+      });
+    });
+    return periodData;
+  }
+
+  // Daily returns, newest day first: getPeriodReturns() by day, with the
+  // day as date and its profit as dailyProfit. options are the reporting
+  // { timezone, attribution }.
+  async getDailyReturns(userId, filters = {}, options = {}) {
+    const days = await this.getPeriodReturns(userId, filters, { ...options, period: 'day' });
+    return days.map(({ period, profit, ...day }) => ({ date: period, ...day, dailyProfit: profit }));
+  }
+
+  // Weekly, monthly or yearly returns, newest first, each with its profit's
+  // change on the calendar period before it (change, and changePercent of
+  // that period's profit). A period before which nothing was traded at all
+  // has no change; an empty period in between counts as zero profit.
+  async getRollups(userId, filters = {}, period, options = {}) {
+    const periods = await this.getPeriodReturns(userId, filters, { ...options, period });
+    const profits = new Map(periods.map(row => [row.period, row.profit]));
+    const oldest = periods.length > 0 ? periods[periods.length - 1].period : null;
+
+    return periods.map(row => {
+      if (row.period === oldest) {
+        return { ...row, change: null, changePercent: null };
+      }
+      const previous = profits.get(previousPeriod(period, row.period)) || 0;
+      return {
+        ...row,
+        change: row.profit - previous,
+        changePercent: previous !== 0 ? ((row.profit - previous) * 100) / Math.abs(previous) : null
+      };
+    });
+  }
+
+  // Timeline: daily returns plus net worth, built from the capital ledger.
+  // Each day's capital flow (deposits less withdrawals) is taken to arrive
+  // before that day's trading, so a day's growth is its profit over the net
+  // worth it started with, and ROI chains those daily returns together
+  // (time-weighted return) so new deposits never count as profit. Days with
+  // only a capital event get a row too; events before the first day shown
+  // make up the opening net worth. Capital isn't tagged, so with a tag
+  // selected the returns are that strategy's share of the whole stack.
+  async getTimelineData(userId, filters = {}, options = {}) {
+    const dailyData = await this.getDailyReturns(userId, filters, options);
+    const events = await this.getCapitalEvents(userId);
+
+    // Net capital flow per day, seen from the selected account
+    const flows = new Map();
+    events.forEach(event => {
+      const flow = capitalFlow(event, filters.account);
+      if (flow !== 0 && !(filters.to && event.event_date > filters.to)) {
+        flows.set(event.event_date, (flows.get(event.event_date) || 0) + flow);
+      }
+    });
+
+    const days = new Map(dailyData.map(day => [day.date, day]));
+    flows.forEach((flow, date) => {
+      if (!days.has(date) && !(filters.from && date < filters.from)) {
+        days.set(date, {
+          date,
+          totalTrades: 0,
+          items: 0,
+          volume: 0,
+          tax: 0,
+          dailyProfit: 0,
+          finishedTrades: 0,
+          activeTrades: 0,
+          wins: 0,
+          losses: 0,
+          avgMargin: null,
+          topItem: 'No completed trades',
+          topItemProfit: 0,
+          worstItem: null,
+          worstProfit: 0
+        });
+      }
+    });
+
+    // Sort by date ascending for calculation
+    const timeline = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+    // Capital that arrived before the first day shown
+    let capital = 0;
+    flows.forEach((flow, date) => {
+      if (timeline.length > 0 && date < timeline[0].date) {
+        capital += flow;
+      }
+    });
+
+    let netWorth = capital;
+    let growthFactor = 1;
+
+    timeline.forEach(day => {
+      day.flips = day.totalTrades;
+      day.flow = flows.get(day.date) || 0;
+      day.profit = day.dailyProfit;
+
+      const startingNetWorth = netWorth + day.flow;
+      capital += day.flow;
+      netWorth = startingNetWorth + day.profit;
+
+      // Day's return on the money it traded with, and the chained return
+      const dailyReturn = startingNetWorth > 0 ? day.profit / startingNetWorth : 0;
+      growthFactor *= 1 + dailyReturn;
+
+      day.capital = capital;
+      day.netWorth = netWorth;
+      day.growth = dailyReturn * 100;
+      day.roi = (growthFactor - 1) * 100;
+    });
+
+    // Sort by date descending for display
+    return timeline.reverse();
+  }
+
+  // Capital ledger, newest first
+  async getCapitalEvents(userId) {
+    const rows = await this.all(
+      'SELECT * FROM capital_events WHERE user_id = ? ORDER BY event_date DESC, id DESC',
+      [userId]
+    );
+    return rows.map(row => ({ ...row, amount: Number(row.amount) }));
+  }
+
+  // Record a deposit, withdrawal or transfer; event is
+  // { type, date (YYYY-MM-DD), amount (GP), account, toAccount, note }
+  async addCapitalEvent(userId, { type, date, amount, account = null, toAccount = null, note = null }) {
+    const result = await this.run(`
+      INSERT INTO capital_events (user_id, type, event_date, amount, account, to_account, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id
+    `, [userId, type, date, amount, account || null, type === 'transfer' ? toAccount : null, note || null]);
+    return result.id;
+  }
+
+  async deleteCapitalEvent(userId, id) {
+    return this.run('DELETE FROM capital_events WHERE user_id = ? AND id = ?', [userId, id]);
+  }
+
+  // Users
+  async countUsers() {
+    const row = await this.get('SELECT COUNT(*) as count FROM users');
+    return Number(row.count);
+  }
+
+  async listUsers() {
+    return this.all('SELECT id, username, role, created_at, last_login_at FROM users ORDER BY username');
+  }
+
+  async getUserById(id) {
+    return this.get('SELECT * FROM users WHERE id = ?', [id]);
+  }
+
+  async getUserByUsername(username) {
+    return this.get('SELECT * FROM users WHERE LOWER(username) = LOWER(?)', [username]);
+  }
+
+  async createUser({ username, passwordHash, role }) {
+    return this.run(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?) RETURNING id',
+      [username, passwordHash, role]
+    );
+  }
+
+  // Create the first account only while the users table is still empty, in a
+  // single statement so two people racing through setup can't both win
+  async createFirstUser({ username, passwordHash, role }) {
+    return this.run(`
+      INSERT INTO users (username, password_hash, role)
+      SELECT ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM users)
+      RETURNING id
+    `, [username, passwordHash, role]);
+  }
+
+  async updateUserPassword(id, passwordHash) {
+    return this.run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, id]);
+  }
+
+  async updateUserRole(id, role) {
+    return this.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+  }
+
+  async recordLogin(id) {
+    return this.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+
+  // Per-user settings, stored as JSON values keyed by name
+  async getSettings(userId) {
+    const rows = await this.all('SELECT key, value FROM user_settings WHERE user_id = ?', [userId]);
+    const settings = { ...DEFAULT_SETTINGS };
+    rows.forEach(row => {
+      settings[row.key] = JSON.parse(row.value);
+    });
+    return settings;
+  }
+
+  async updateSettings(userId, values) {
+    await this.transaction(async (tx) => {
+      for (const [key, value] of Object.entries(values)) {
+        await tx.run(`
+          INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)
+          ON CONFLICT (user_id, key) DO UPDATE SET value = excluded.value
+        `, [userId, key, JSON.stringify(value)]);
+      }
+    });
+  }
+
+  // Saved CSV column mappings, by name
+  async getImportPresets(userId) {
+    const rows = await this.all('SELECT id, name, mapping FROM import_presets WHERE user_id = ? ORDER BY name', [userId]);
+    return rows.map(row => ({ id: row.id, name: row.name, mapping: JSON.parse(row.mapping) }));
+  }
+
+  async getImportPreset(userId, id) {
+    const row = await this.get('SELECT id, name, mapping FROM import_presets WHERE user_id = ? AND id = ?', [userId, id]);
+    return row ? { id: row.id, name: row.name, mapping: JSON.parse(row.mapping) } : null;
+  }
+
+  // Save a mapping under a name, replacing any preset already using it
+  async saveImportPreset(userId, name, mapping) {
+    // get() rather than run(): SQLite's lastID isn't set when the upsert updates
+    const row = await this.get(`
+      INSERT INTO import_presets (user_id, name, mapping) VALUES (?, ?, ?)
+      ON CONFLICT (user_id, name) DO UPDATE SET mapping = excluded.mapping
+      RETURNING id
+    `, [userId, name, JSON.stringify(mapping)]);
+    return row.id;
+  }
+
+  async deleteImportPreset(userId, id) {
+    return this.run('DELETE FROM import_presets WHERE user_id = ? AND id = ?', [userId, id]);
+  }
+
+  // Import batches
+  async createImportBatch(userId, fileName) {
+    const result = await this.run(
+      'INSERT INTO import_batches (user_id, file_name) VALUES (?, ?) RETURNING id',
+      [userId, fileName]
+    );
+    return result.id;
+  }
+
+  async updateImportBatchCounts(id, { newRecords, updated = 0, duplicates, errors }) {
+    return this.run(
+      'UPDATE import_batches SET new_records = ?, updated = ?, duplicates = ?, errors = ? WHERE id = ?',
+      [newRecords, updated, duplicates, errors, id]
+    );
+  }
+
+  // Import parsed records as one batch: new flips are inserted, open flips they
+  // continue are updated in place, and flips the user already has are skipped.
+  // Item names are spelled the way the item catalog has them, when it knows
+  // them. The user's auto-tag rules then run over every record the batch touched
+  // (tagged counts the tags they added). Runs in a transaction so a failed
+  // import leaves nothing behind. Resolves to the batch counts plus the
+  // user's record total afterwards.
+  //
+  // records can be a list or an async iterable (a streamed file, see
+  // lib/importers readRecords), taken IMPORT_CHUNK_SIZE at a time;
+  // onProgress({ rows }) is called after each chunk. errors is the invalid
+  // row count, or a function giving it once every record has been read.
+  async importBatch(userId, fileName, records, errors, { onProgress = null } = {}) {
+    const counts = await this.transaction(async (tx) => {
+      const batchId = await tx.createImportBatch(userId, fileName);
+      const counts = { batchId, newRecords: 0, updated: 0, duplicates: 0 };
+      const names = await tx.getCatalogNames();
+      let chunk = [];
+      let rows = 0;
+
+      const importChunk = async () => {
+        const { created, updated, duplicates } = await tx.importRecords(userId, chunk, batchId);
+        counts.newRecords += created;
+        counts.updated += updated;
+        counts.duplicates += duplicates;
+        rows += chunk.length;
+        chunk = [];
+        if (onProgress) {
+          onProgress({ rows });
+        }
+      };
+
+      for await (const record of records) {
+        chunk.push({ ...record, item: names.get(itemKey(record.item)) || record.item });
+        if (chunk.length >= IMPORT_CHUNK_SIZE) {
+          await importChunk();
+        }
+      }
+      if (chunk.length > 0) {
+        await importChunk();
+      }
+
+      counts.errors = typeof errors === 'function' ? errors() : errors;
+      counts.tagged = await tx.applyTagRules(userId, { batchId });
+      await tx.updateImportBatchCounts(batchId, counts);
+      return counts;
+    });
+
+    return { ...counts, totalInDb: await this.countRecords(userId) };
+  }
+
+  // The user's batches, newest first
+  async listImportBatches(userId) {
+    return this.all('SELECT * FROM import_batches WHERE user_id = ? ORDER BY id DESC', [userId]);
+  }
+
+  // One of the user's batches, or null
+  async getImportBatch(userId, id) {
+    const row = await this.get('SELECT * FROM import_batches WHERE user_id = ? AND id = ?', [userId, id]);
+    return row || null;
+  }
+
+  // Files the watched-folder importer picked up. status is 'imported' or
+  // 'failed'; message says what was imported or why it failed.
+  async logWatchRun(userId, { fileName, status, batchId = null, message = null }) {
+    const result = await this.run(
+      'INSERT INTO import_watch_runs (user_id, file_name, status, batch_id, message) VALUES (?, ?, ?, ?, ?) RETURNING id',
+      [userId, fileName, status, batchId, message]
+    );
+    return result.id;
+  }
+
+  // The latest watched-folder runs, newest first
+  async listWatchRuns(limit = 50) {
+    return this.all(`
+      SELECT import_watch_runs.*, users.username
+      FROM import_watch_runs
+      LEFT JOIN users ON users.id = import_watch_runs.user_id
+      ORDER BY import_watch_runs.id DESC
+      LIMIT ?
+    `, [limit]);
+  }
+
+  async getBatchRecords(userId, batchId) {
+    return this.all('SELECT * FROM trading_records WHERE user_id = ? AND batch_id = ? ORDER BY id', [userId, batchId]);
+  }
+
+  // Open flips a batch updated, with the values it overwrote
+  async getBatchUpdates(batchId) {
+    return this.all(`
+      SELECT trading_records.item, trading_records.account, trading_records.first_buy_time,
+        trading_records.status as new_status, trading_records.profit as new_profit,
+        record_history.status as old_status, record_history.profit as old_profit,
+        record_history.sold as old_sold, trading_records.sold as new_sold
+      FROM record_history
+      JOIN trading_records ON trading_records.id = record_history.record_id
+      WHERE record_history.batch_id = ?
+      ORDER BY record_history.id
+    `, [batchId]);
+  }
+
+  // Undo a batch, all or nothing: restore the open flips it updated and
+  // delete the records it added. Resolves to { removed, restored }, or null if
+  // the user has no such batch or it was already rolled back. Refuses while a
+  // later import has updated any of the same records, since restoring would
+  // discard that change.
+  async rollbackImportBatch(userId, id) {
+    return this.transaction(async (tx) => {
+      const marked = await tx.run(
+        'UPDATE import_batches SET rolled_back_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id = ? AND rolled_back_at IS NULL',
+        [userId, id]
+      );
+      if (marked.changes === 0) {
+        return null;
+      }
+
+      const changes = await tx.all('SELECT * FROM record_history WHERE batch_id = ? ORDER BY id DESC', [id]);
+      const added = await tx.all('SELECT id FROM trading_records WHERE batch_id = ?', [id]);
+      const touched = [...new Set([...changes.map(change => change.record_id), ...added.map(row => row.id)])];
+
+      if (touched.length > 0) {
+        const later = await tx.get(
+          `SELECT MIN(batch_id) as batch FROM record_history
+           WHERE batch_id > ? AND record_id IN (${touched.map(() => '?').join(', ')})`,
+          [id, ...touched]
+        );
+        if (later && later.batch) {
+          throw new Error(`import #${later.batch} has since updated these records; roll it back first`);
+        }
+      }
+
+      // Nor under hand edits made since: any edit to a record this batch added,
+      // or one after the import to a record it updated, would be lost
+      const addedIds = new Set(added.map(row => row.id));
+      if (touched.length > 0) {
+        const batch = await tx.get('SELECT created_at FROM import_batches WHERE id = ?', [id]);
+        const importedAt = toDate(batch.created_at).getTime();
+        const edits = await tx.all(
+          `SELECT entity_id, created_at FROM audit_log
+           WHERE action = 'record-update' AND entity = 'trading_record'
+             AND entity_id IN (${touched.map(() => '?').join(', ')})`,
+          touched
+        );
+        const edited = [...new Set(edits
+          .filter(edit => addedIds.has(Number(edit.entity_id)) || toDate(edit.created_at).getTime() >= importedAt)
+          .map(edit => Number(edit.entity_id)))].sort((a, b) => a - b);
+        if (edited.length > 0) {
+          const list = edited.map(recordId => `#${recordId}`).join(', ');
+          throw new Error(`${edited.length === 1 ? 'record ' + list + ' was' : 'records ' + list + ' were'} edited by hand since this import; rolling it back would lose those edits`);
+        }
+      }
+
+      // Records this batch added are deleted below, so only restore the rest
+      const restores = changes.filter(change => !addedIds.has(change.record_id));
+
+      const columns = Object.values(TRACKED_RECORD_COLUMNS);
+      for (const change of restores) {
+        await tx.run(
+          `UPDATE trading_records SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => change[column]), change.record_id]
+        );
+      }
+
+      await tx.run('DELETE FROM record_history WHERE batch_id = ?', [id]);
+      await tx.run('DELETE FROM record_tags WHERE record_id IN (SELECT id FROM trading_records WHERE batch_id = ?)', [id]);
+      const deleted = await tx.run('DELETE FROM trading_records WHERE batch_id = ?', [id]);
+      return { removed: deleted.changes, restored: restores.length };
+    });
+  }
+
+  // API tokens, looked up by the SHA-256 hash of the token
+  async createApiToken(userId, { name, tokenHash, prefix }) {
+    const result = await this.run(
+      'INSERT INTO api_tokens (user_id, name, token_hash, prefix) VALUES (?, ?, ?, ?) RETURNING id',
+      [userId, name, tokenHash, prefix]
+    );
+    return result.id;
+  }
+
+  async listApiTokens(userId) {
+    return this.all(
+      'SELECT id, name, prefix, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+      [userId]
+    );
+  }
+
+  // The user a token belongs to, or null. Marks the token as used.
+  async getUserByApiToken(tokenHash) {
+    const token = await this.get('SELECT id, user_id FROM api_tokens WHERE token_hash = ?', [tokenHash]);
+    if (!token) {
+      return null;
+    }
+    await this.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [token.id]);
+    return (await this.getUserById(token.user_id)) || null;
+  }
+
+  async deleteApiToken(userId, id) {
+    return this.run('DELETE FROM api_tokens WHERE user_id = ? AND id = ?', [userId, id]);
+  }
+
+  // Audit log. actor is who acted ({ id, username }; id is null for someone
+  // not logged in, like a failed login), action one of AUDIT_ACTIONS, and
+  // entity/entityId what was acted on. changes is { column: { from, to } }.
+  async logAudit(actor, action, { entity = null, entityId = null, changes = null, details = null } = {}) {
+    return this.run(
+      `INSERT INTO audit_log (user_id, username, action, entity, entity_id, changes, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor && actor.id ? actor.id : null,
+        actor ? actor.username : null,
+        action,
+        entity,
+        entityId,
+        changes ? JSON.stringify(changes) : null,
+        details,
+        toTimestamp(Date.now())
+      ]
+    );
+  }
+
+  // One page of the audit log, newest first, narrowed by { action, username,
+  // entity, entityId, from, to } (from/to are YYYY-MM-DD days in UTC). Each
+  // entry's changes come back as [{ column, from, to }].
+  async getAuditLog(filters = {}, { page = 1, perPage = 50 } = {}) {
+    const conditions = ['1 = 1'];
+    const params = [];
+
+    if (filters.action) {
+      conditions.push('action = ?');
+      params.push(filters.action);
+    }
+    if (filters.username) {
+      conditions.push('LOWER(username) = LOWER(?)');
+      params.push(filters.username);
+    }
+    if (filters.entity) {
+      conditions.push('entity = ?');
+      params.push(filters.entity);
+    }
+    if (filters.entityId) {
+      conditions.push('entity_id = ?');
+      params.push(filters.entityId);
+    }
+    if (filters.from) {
+      conditions.push('created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('created_at <= ?');
+      params.push(`${filters.to}T23:59:59Z`);
+    }
+
+    const where = conditions.join(' AND ');
+    const { count } = await this.get(`SELECT COUNT(*) as count FROM audit_log WHERE ${where}`, params);
+    const total = Number(count);
+    const pages = Math.max(1, Math.ceil(total / perPage));
+    const currentPage = Math.min(Math.max(1, page), pages);
+
+    const rows = await this.all(
+      `SELECT * FROM audit_log WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, perPage, (currentPage - 1) * perPage]
+    );
+    const entries = rows.map(row => ({
+      ...row,
+      changes: Object.entries(row.changes ? JSON.parse(row.changes) : {}).map(([column, change]) => ({ column, ...change }))
+    }));
+
+    return { entries, total, page: currentPage, pages, perPage };
+  }
+
+  // Replace the market prices with a snapshot from lib/prices, loaded by
+  // userId from fileName. Resolves to the snapshot's id.
+  async savePriceSnapshot(userId, fileName, { takenAt, prices }) {
+    return this.transaction(async (tx) => {
+      await tx.run('DELETE FROM item_prices');
+      for (const price of prices) {
+        await tx.run(
+          'INSERT INTO item_prices (item, item_id, high, high_time, low, low_time) VALUES (?, ?, ?, ?, ?, ?)',
+          [price.item, price.itemId, price.high, price.highTime, price.low, price.lowTime]
+        );
+      }
+
+      const result = await tx.run(
+        'INSERT INTO price_snapshots (file_name, taken_at, item_count, loaded_by) VALUES (?, ?, ?, ?) RETURNING id',
+        [fileName, takenAt, prices.length, userId]
+      );
+      return result.id;
+    });
+  }
+
+  // The snapshot item_prices holds, or null before any was loaded
+  async getPriceSnapshot() {
+    const snapshot = await this.get(`
+      SELECT price_snapshots.*, users.username as loaded_by_username
+      FROM price_snapshots
+      LEFT JOIN users ON users.id = price_snapshots.loaded_by
+      ORDER BY price_snapshots.id DESC
+      LIMIT 1
+    `);
+    return snapshot || null;
+  }
+
+  // Replace the item catalog with items from lib/items, loaded by userId from
+  // fileName. Resolves to the load's id.
+  async saveItemCatalog(userId, fileName, items) {
+    return this.transaction(async (tx) => {
+      await tx.run('DELETE FROM items');
+      for (const item of items) {
+        await tx.run(
+          'INSERT INTO items (id, name, name_key, members, buy_limit, high_alch) VALUES (?, ?, ?, ?, ?, ?)',
+          [item.id, item.name, itemKey(item.name), item.members, item.buyLimit, item.highAlch]
+        );
+      }
+
+      const result = await tx.run(
+        'INSERT INTO item_catalog_loads (file_name, item_count, loaded_by) VALUES (?, ?, ?) RETURNING id',
+        [fileName, items.length, userId]
+      );
+      return result.id;
+    });
+  }
+
+  // The load the catalog holds, or null before any
+  async getItemCatalogLoad() {
+    const load = await this.get(`
+      SELECT item_catalog_loads.*, users.username as loaded_by_username
+      FROM item_catalog_loads
+      LEFT JOIN users ON users.id = item_catalog_loads.loaded_by
+      ORDER BY item_catalog_loads.id DESC
+      LIMIT 1
+    `);
+    return load || null;
+  }
+
+  // Catalog entry for an item name (matched on itemKey), or null
+  async getCatalogItem(name) {
+    const row = await this.get('SELECT * FROM items WHERE name_key = ?', [itemKey(name)]);
+    return row ? { ...row, members: !!row.members } : null;
+  }
+
+  // The catalog's spelling of an item name, or the name as given when the
+  // catalog doesn't know it
+  async canonicalItemName(name) {
+    const row = await this.get('SELECT name FROM items WHERE name_key = ?', [itemKey(name)]);
+    return row ? row.name : name;
+  }
+
+  // Every catalog name, as a Map of itemKey -> name
+  async getCatalogNames() {
+    const rows = await this.all('SELECT name_key, name FROM items');
+    return new Map(rows.map(row => [row.name_key, row.name]));
+  }
+
+  // Catalog entries whose names contain search, by name
+  async searchItemCatalog(search, limit = 50) {
+    const rows = await this.all(
+      'SELECT * FROM items WHERE name_key LIKE ? ORDER BY name LIMIT ?',
+      [`%${itemKey(search)}%`, limit]
+    );
+    return rows.map(row => ({ ...row, members: !!row.members }));
+  }
+
+  // Item names in the user's records that the catalog doesn't know, with
+  // how many records use each. Likely typos, or items newer than the file.
+  async getUnknownItems(userId) {
+    const [rows, names] = await Promise.all([
+      this.all(`
+        SELECT item, COUNT(*) as records FROM trading_records
+        WHERE user_id = ? GROUP BY item ORDER BY item
+      `, [userId]),
+      this.getCatalogNames()
+    ]);
+    return rows
+      .filter(row => !names.has(itemKey(row.item)))
+      .map(row => ({ item: row.item, records: Number(row.records) }));
+  }
+
+  // How much of each account's GE buy limits the buys of the last
+  // BUY_LIMIT_LOOKBACK_HOURS have used, at now (see lib/items
+  // buyLimitUsage). Windows that started before the lookback can't be seen,
+  // which only matters for items bought nonstop for a day.
+  async getBuyLimitUsage(userId, filters = {}, now = Date.now()) {
+    const { where, params } = recordScope(userId, filters);
+    const records = await this.all(
+      `SELECT account, item, first_buy_time, bought FROM trading_records
+       WHERE ${where} AND first_buy_time >= ?
+       ORDER BY first_buy_time`,
+      [...params, toTimestamp(now - BUY_LIMIT_LOOKBACK_HOURS * 3600000)]
+    );
+
+    const keys = [...new Set(records.map(record => itemKey(record.item)))];
+    const limits = new Map();
+    if (keys.length > 0) {
+      const rows = await this.all(
+        `SELECT name_key, buy_limit FROM items WHERE buy_limit IS NOT NULL AND name_key IN (${keys.map(() => '?').join(', ')})`,
+        keys
+      );
+      rows.forEach(row => limits.set(row.name_key, Number(row.buy_limit)));
+    }
+
+    return buyLimitUsage(records, limits, now);
+  }
+
+  // Close database connection
+  async close() {}
+}
+
+module.exports = Storage;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+module.exports.CAPITAL_EVENT_TYPES = CAPITAL_EVENT_TYPES;
+module.exports.RECORD_SORT_COLUMNS = RECORD_SORT_COLUMNS;
+module.exports.RECORD_COLUMNS = RECORD_COLUMNS;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.IMPORT_CHUNK_SIZE = IMPORT_CHUNK_SIZE;
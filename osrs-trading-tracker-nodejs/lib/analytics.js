@@ -0,0 +1,101 @@
+// Risk and consistency figures for a run of daily returns, as
+// getDailyReturns() gives them (newest first). Everything is worked out in
+// trading days: days without a record are skipped, and a day whose profit is
+// exactly zero ends both a winning and a losing streak.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar days from one YYYY-MM-DD date to another
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Longest run of days matching test: { days, start, end }, or null
+const longestStreak = (days, test) => {
+  let best = null;
+  let current = null;
+
+  days.forEach(day => {
+    if (!test(day.dailyProfit)) {
+      current = null;
+      return;
+    }
+    current = current ? { ...current, days: current.days + 1, end: day.date } : { days: 1, start: day.date, end: day.date };
+    if (!best || current.days > best.days) {
+      best = current;
+    }
+  });
+
+  return best;
+};
+
+// Equity curve, drawdowns, streaks, best/worst days and profit spread.
+// Drawdown is how far cumulative profit sits below its highest point so far
+// (starting from zero); its duration is the calendar days from that peak
+// until profit got back to it, or until the last day if it hasn't yet.
+// The consistency score is Sharpe-style: the average day's profit over the
+// standard deviation of daily profit.
+function analyzeReturns(dailyReturns) {
+  const days = [...dailyReturns].sort((a, b) => (a.date < b.date ? -1 : 1));
+
+  let cumulative = 0;
+  let peak = { profit: 0, date: days.length > 0 ? days[0].date : null };
+  let maxDrawdown = { amount: 0, peakDate: null, troughDate: null };
+  let longestDrawdown = null;
+
+  // A drawdown ending (recovered) or still open on the last day
+  const closeDrawdown = (end, recovered) => {
+    const length = daysBetween(peak.date, end);
+    if (length > 0 && (!longestDrawdown || length > longestDrawdown.days)) {
+      longestDrawdown = { days: length, start: peak.date, end, recovered };
+    }
+  };
+
+  const equityCurve = days.map(day => {
+    cumulative += day.dailyProfit;
+
+    if (cumulative >= peak.profit) {
+      if (peak.underwater) {
+        closeDrawdown(day.date, true);
+      }
+      peak = { profit: cumulative, date: day.date };
+    } else {
+      peak.underwater = true;
+      if (peak.profit - cumulative > maxDrawdown.amount) {
+        maxDrawdown = { amount: peak.profit - cumulative, peakDate: peak.date, troughDate: day.date };
+      }
+    }
+
+    return { date: day.date, profit: day.dailyProfit, cumulative, drawdown: cumulative - peak.profit };
+  });
+
+  if (peak.underwater) {
+    closeDrawdown(days[days.length - 1].date, false);
+  }
+
+  const count = days.length;
+  const mean = count > 0 ? cumulative / count : 0;
+  const variance = count > 1
+    ? days.reduce((sum, day) => sum + Math.pow(day.dailyProfit - mean, 2), 0) / (count - 1)
+    : 0;
+  const stdDev = Math.sqrt(variance);
+
+  const byProfit = [...days].sort((a, b) => b.dailyProfit - a.dailyProfit);
+
+  return {
+    equityCurve,
+    tradingDays: count,
+    totalProfit: cumulative,
+    maxDrawdown: maxDrawdown.amount > 0 ? maxDrawdown : null,
+    longestDrawdown,
+    longestWinStreak: longestStreak(days, profit => profit > 0),
+    longestLosingStreak: longestStreak(days, profit => profit < 0),
+    bestDay: count > 0 ? { date: byProfit[0].date, profit: byProfit[0].dailyProfit } : null,
+    worstDay: count > 0 ? { date: byProfit[count - 1].date, profit: byProfit[count - 1].dailyProfit } : null,
+    avgDailyProfit: mean,
+    stdDev,
+    consistency: stdDev > 0 ? mean / stdDev : null
+  };
+}
+
+module.exports = {
+  analyzeReturns
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../database');
+
+// Roles from least to most privileged. A role can do everything the ones
+// before it can: viewers see the data, importers can also upload,
+// owners can also manage users.
+const ROLES = ['viewer', 'importer', 'owner'];
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+
+const hasRole = (user, role) => {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+};
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password || '', passwordHash);
+
+// Returns an error message, or null when the new account details are acceptable
+const validateUser = ({ username, password, role }) => {
+  return validateAccount({ username, role }) || validatePassword(password);
+};
+
+// The same for just the username and role, to check before asking for a password
+const validateAccount = ({ username, role }) => {
+  if (!username || !USERNAME_PATTERN.test(username)) {
+    return 'Usernames must be 3-32 characters: letters, numbers, dots, dashes or underscores.';
+  }
+  if (!ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}.`;
+  }
+  return null;
+};
+
+const validatePassword = (password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+};
+
+// API tokens are random, so a plain SHA-256 is enough to store them and lets
+// a request's token be looked up directly. The prefix marks where a token
+// came from if one ever leaks into a log or a repository.
+const API_TOKEN_PREFIX = 'osrs_';
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A new token: show `token` to the user once, store only `tokenHash`
+const generateApiToken = () => {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  return { token, tokenHash: hashApiToken(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6) };
+};
+
+// Send everyone to /setup until the first owner account exists
+let setupComplete = false;
+const requireSetup = async (req, res, next) => {
+  if (setupComplete || req.path === '/setup') {
+    return next();
+  }
+
+  try {
+    setupComplete = (await db.countUsers()) > 0;
+    return setupComplete ? next() : res.redirect('/setup');
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Load the logged-in user onto req.user and expose role flags to templates
+const loadUser = async (req, res, next) => {
+  try {
+    if (req.session && req.session.userId) {
+      req.user = await db.getUserById(req.session.userId);
+      if (!req.user) {
+        // Account was removed since this session started
+        delete req.session.userId;
+      }
+    }
+
+    res.locals.currentUser = req.user ? { id: req.user.id, username: req.user.username, role: req.user.role } : null;
+    res.locals.canImport = hasRole(req.user, 'importer');
+    res.locals.isOwner = hasRole(req.user, 'owner');
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Role-aware replacement for the old requireAuth middleware
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return res.redirect('/login?error=unauthorized');
+  }
+  if (!hasRole(req.user, role)) {
+    return res.status(403).render('error', {
+      title: 'Forbidden - OSRS Trading Tracker',
+      error: `You need the ${role} role to do that.`
+    });
+  }
+  return next();
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  validateUser,
+  validateAccount,
+  validatePassword,
+  hashApiToken,
+  generateApiToken,
+  requireSetup,
+  loadUser,
+  requireRole
+};
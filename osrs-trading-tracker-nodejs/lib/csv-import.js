@@ -0,0 +1,252 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+
+// The fields a trading record is built from. headers lists the spellings
+// known tools export, used to guess the column mapping for a new file.
+const IMPORT_FIELDS = [
+  { key: 'firstBuyTime', label: 'First buy time', type: 'timestamp', required: true, headers: ['First buy time', 'first_buy_time'] },
+  { key: 'lastSellTime', label: 'Last sell time', type: 'timestamp', headers: ['Last sell time', 'last_sell_time'] },
+  { key: 'account', label: 'Account', type: 'text', required: true, headers: ['Account', 'account'] },
+  { key: 'item', label: 'Item', type: 'text', required: true, headers: ['Item', 'item'] },
+  { key: 'status', label: 'Status', type: 'status', required: true, headers: ['Status', 'status'] },
+  { key: 'bought', label: 'Bought', type: 'integer', headers: ['Bought', 'bought'] },
+  { key: 'sold', label: 'Sold', type: 'integer', headers: ['Sold', 'sold'] },
+  { key: 'avgBuyPrice', label: 'Avg. buy price', type: 'integer', headers: ['Avg. buy price', 'avg_buy_price'] },
+  { key: 'avgSellPrice', label: 'Avg. sell price', type: 'integer', headers: ['Avg. sell price', 'avg_sell_price'] },
+  { key: 'tax', label: 'Tax', type: 'integer', headers: ['Tax', 'tax'] },
+  { key: 'profit', label: 'Profit', type: 'integer', headers: ['Profit', 'profit'] },
+  { key: 'profitEa', label: 'Profit ea.', type: 'integer', headers: ['Profit ea.', 'profit_ea'] }
+];
+
+const STATUSES = ['BUYING', 'SELLING', 'FINISHED'];
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+// Read a whole CSV file into its header row and data rows
+const readCsv = (filePath) => new Promise((resolve, reject) => {
+  let headers = [];
+  const rows = [];
+
+  fs.createReadStream(filePath)
+    .pipe(csv())
+    .on('headers', (names) => {
+      headers = names;
+    })
+    .on('data', (row) => {
+      rows.push(row);
+    })
+    .on('end', () => resolve({ headers, rows }))
+    .on('error', reject);
+});
+
+// Just a CSV file's header row, without reading the rest
+const readCsvHeaders = (filePath) => new Promise((resolve, reject) => {
+  const input = fs.createReadStream(filePath);
+  const parser = csv();
+  let done = false;
+
+  const finish = (headers) => {
+    if (!done) {
+      done = true;
+      input.destroy();
+      resolve(headers);
+    }
+  };
+
+  input.on('error', reject);
+  input.pipe(parser)
+    .on('headers', finish)
+    .on('data', () => {})
+    .on('end', () => finish([]))
+    .on('error', reject);
+});
+
+// Roughly how many data rows a CSV file has, counted from its line breaks
+// without parsing it (a quoted value spanning lines counts more than once)
+const countCsvRows = async (filePath) => {
+  let lines = 0;
+  let last = null;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    for (let index = chunk.indexOf(10); index !== -1; index = chunk.indexOf(10, index + 1)) {
+      lines++;
+    }
+    last = chunk[chunk.length - 1];
+  }
+  if (last !== null && last !== 10) {
+    lines++;
+  }
+  return Math.max(0, lines - 1);
+};
+
+// Row error messages kept while streaming a file. Past this, rows with bad
+// values are only counted, so a badly mapped file can't fill memory.
+const MAX_KEPT_ERRORS = 200;
+
+// Running totals for a streamed file: rows read, rows with bad values,
+// their error messages and the first MAX_KEPT_ERRORS of those
+const newTally = () => ({ rows: 0, invalidRows: 0, errorCount: 0, errors: [] });
+
+// Parse a CSV file one row at a time, tallying each, as { line, record,
+// errors } with line numbers as parseRows() gives them
+async function* parseCsv(filePath, mapping, tally) {
+  const input = fs.createReadStream(filePath);
+  let line = 1;
+  try {
+    for await (const row of input.pipe(csv())) {
+      line++;
+      const parsed = parseRow(row, mapping);
+      tally.rows++;
+      if (parsed.errors.length > 0) {
+        tally.invalidRows++;
+        tally.errorCount += parsed.errors.length;
+        parsed.errors
+          .slice(0, Math.max(0, MAX_KEPT_ERRORS - tally.errors.length))
+          .forEach(error => tally.errors.push({ line, ...error }));
+      }
+      yield { line, ...parsed };
+    }
+  } finally {
+    // Close the file when a reader stops early
+    input.destroy();
+  }
+}
+
+// Stream a CSV file as records, so a file of any size is never held in
+// memory. Rows with bad values are left out and tallied.
+async function* streamRecords(filePath, mapping, tally) {
+  for await (const { record, errors } of parseCsv(filePath, mapping, tally)) {
+    if (errors.length === 0) {
+      yield record;
+    }
+  }
+}
+
+// Stream a CSV file for the import preview: the first previewRows rows
+// parsed to show, the rest only tallied. Resolves to { tally, preview }.
+const previewCsv = async (filePath, mapping, previewRows) => {
+  const tally = newTally();
+  const preview = [];
+  for await (const { line, record, errors } of parseCsv(filePath, mapping, tally)) {
+    if (preview.length < previewRows) {
+      preview.push({ line, record, valid: errors.length === 0 });
+    }
+  }
+  return { tally, preview };
+};
+
+// Best guess at which header feeds each field, matching names case-insensitively
+const guessMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const known = field.headers.map(name => name.toLowerCase());
+    mapping[field.key] = headers.find(header => known.includes(header.trim().toLowerCase())) || '';
+  });
+  return mapping;
+};
+
+// Keep only fields we know about that point at a header in this file
+const cleanMapping = (mapping, headers) => {
+  const cleaned = {};
+  IMPORT_FIELDS.forEach(field => {
+    const header = mapping && mapping[field.key];
+    cleaned[field.key] = headers.includes(header) ? header : '';
+  });
+  return cleaned;
+};
+
+// Labels of required fields the mapping leaves without a column
+const missingFields = (mapping) => {
+  return IMPORT_FIELDS
+    .filter(field => field.required && !mapping[field.key])
+    .map(field => field.label);
+};
+
+// Timestamps are stored as UTC ISO-8601 text; values without a zone are taken as UTC
+const parseTimestamp = (value) => {
+  if (!TIMESTAMP_PATTERN.test(value)) {
+    return null;
+  }
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  const date = new Date(value.replace(' ', 'T') + (hasZone ? '' : 'Z'));
+  return isNaN(date.getTime()) ? null : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+};
+
+// Turn one CSV row into a record, collecting a message for every bad value
+const parseRow = (row, mapping) => {
+  const record = {};
+  const errors = [];
+
+  IMPORT_FIELDS.forEach(field => {
+    const header = mapping[field.key];
+    const raw = header ? String(row[header] == null ? '' : row[header]).trim() : '';
+
+    if (raw === '') {
+      if (field.required) {
+        errors.push({ field: field.label, value: raw, message: 'is missing' });
+      }
+      record[field.key] = field.type === 'integer' ? 0 : null;
+      return;
+    }
+
+    if (field.type === 'timestamp') {
+      record[field.key] = parseTimestamp(raw);
+      if (!record[field.key]) {
+        errors.push({ field: field.label, value: raw, message: 'is not a valid timestamp' });
+      }
+    } else if (field.type === 'integer') {
+      const digits = raw.replace(/[,\s]/g, '');
+      record[field.key] = INTEGER_PATTERN.test(digits) ? parseInt(digits, 10) : null;
+      if (record[field.key] === null) {
+        errors.push({ field: field.label, value: raw, message: 'is not a whole number' });
+      }
+    } else if (field.type === 'status') {
+      record[field.key] = raw.toUpperCase();
+      if (!STATUSES.includes(record[field.key])) {
+        errors.push({ field: field.label, value: raw, message: `is not one of ${STATUSES.join(', ')}` });
+      }
+    } else {
+      record[field.key] = raw;
+    }
+  });
+
+  return { record, errors };
+};
+
+// Parse every row. Line numbers count the header as line 1, so they match
+// what a spreadsheet shows (assuming no quoted values span several lines).
+const parseRows = (rows, mapping) => {
+  const records = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const parsed = parseRow(row, mapping);
+
+    if (parsed.errors.length > 0) {
+      parsed.errors.forEach(error => errors.push({ line, ...error }));
+    } else {
+      records.push({ line, record: parsed.record });
+    }
+  });
+
+  return { records, errors };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  STATUSES,
+  MAX_KEPT_ERRORS,
+  readCsv,
+  readCsvHeaders,
+  countCsvRows,
+  newTally,
+  streamRecords,
+  previewCsv,
+  guessMapping,
+  cleanMapping,
+  missingFields,
+  parseTimestamp,
+  parseRow,
+  parseRows
+};
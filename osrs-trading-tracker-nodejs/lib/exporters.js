@@ -0,0 +1,148 @@
+const ExcelJS = require('exceljs');
+const { IMPORT_FIELDS } = require('./csv-import');
+
+// Datasets /export can produce. Each lists its columns (header -> row key)
+// and how to load its rows for a user, the records view filters and the
+// user's reporting options.
+//
+// The records columns are exactly the import fields, headed by their labels,
+// so an exported CSV maps itself on upload and re-imports as duplicates.
+const snakeCase = (key) => key.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase());
+
+const DATASETS = {
+  records: {
+    name: 'Records',
+    columns: IMPORT_FIELDS.map(field => ({ header: field.label, key: snakeCase(field.key) })),
+    load: (db, userId, filters) => db.getRecords(userId, filters)
+  },
+  daily: {
+    name: 'Daily returns',
+    columns: [
+      { header: 'Date', key: 'date' },
+      { header: 'Trades', key: 'totalTrades' },
+      { header: 'Finished', key: 'finishedTrades' },
+      { header: 'Active', key: 'activeTrades' },
+      { header: 'Items', key: 'items' },
+      { header: 'Volume', key: 'volume' },
+      { header: 'Tax', key: 'tax' },
+      { header: 'Profit', key: 'dailyProfit' },
+      { header: 'Wins', key: 'wins' },
+      { header: 'Losses', key: 'losses' },
+      { header: 'Avg. margin %', key: 'avgMargin' },
+      { header: 'Best flip', key: 'topItem' },
+      { header: 'Best flip profit', key: 'topItemProfit' },
+      { header: 'Worst flip', key: 'worstItem' },
+      { header: 'Worst flip profit', key: 'worstProfit' }
+    ],
+    load: (db, userId, filters, options) => db.getDailyReturns(userId, filters, options)
+  },
+  timeline: {
+    name: 'Timeline',
+    columns: [
+      { header: 'Date', key: 'date' },
+      { header: 'Flips', key: 'flips' },
+      { header: 'Items', key: 'items' },
+      { header: 'Volume', key: 'volume' },
+      { header: 'Daily profit', key: 'dailyProfit' },
+      { header: 'Capital flow', key: 'flow' },
+      { header: 'Capital', key: 'capital' },
+      { header: 'Net worth', key: 'netWorth' },
+      { header: 'ROI % (time-weighted)', key: 'roi' },
+      { header: 'Growth %', key: 'growth' }
+    ],
+    load: (db, userId, filters, options) => db.getTimelineData(userId, filters, options)
+  },
+  items: {
+    name: 'Items',
+    columns: [
+      { header: 'Item', key: 'item' },
+      { header: 'Flips', key: 'flips' },
+      { header: 'Total profit', key: 'totalProfit' },
+      { header: 'Avg. profit', key: 'avgProfit' },
+      { header: 'Win rate %', key: 'winRate' },
+      { header: 'Tax', key: 'totalTax' },
+      { header: 'Bought', key: 'bought' },
+      { header: 'Sold', key: 'sold' },
+      { header: 'First traded', key: 'firstTraded' },
+      { header: 'Last traded', key: 'lastTraded' }
+    ],
+    load: (db, userId, filters) => db.getItemStats(userId, filters)
+  }
+};
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Rows of one dataset reduced to its columns, in column order
+const pickColumns = (dataset, rows) => rows.map(row => {
+  const picked = {};
+  dataset.columns.forEach(column => {
+    picked[column.key] = row[column.key] === undefined ? null : row[column.key];
+  });
+  return picked;
+});
+
+// Load every requested dataset: { key: { name, columns, rows } }. options
+// are the user's reporting { timezone, attribution }.
+const loadDatasets = async (db, userId, keys, filters, options = {}) => {
+  const loaded = {};
+  for (const key of keys) {
+    const dataset = DATASETS[key];
+    loaded[key] = { ...dataset, rows: pickColumns(dataset, await dataset.load(db, userId, filters, options)) };
+  }
+  return loaded;
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One dataset as CSV text
+const toCsv = ({ columns, rows }) => {
+  const lines = [columns.map(column => csvValue(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvValue(row[column.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Any number of datasets as one JSON document keyed by dataset
+const toJson = (datasets) => {
+  const output = {};
+  Object.keys(datasets).forEach(key => {
+    output[key] = datasets[key].rows;
+  });
+  return JSON.stringify(output, null, 2);
+};
+
+// Any number of datasets as an XLSX workbook, one sheet each
+const toXlsx = async (datasets) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'OSRS Trading Tracker';
+  workbook.created = new Date();
+
+  Object.values(datasets).forEach(dataset => {
+    const sheet = workbook.addWorksheet(dataset.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = dataset.columns.map(column => ({ header: column.header, key: column.key, width: Math.max(12, column.header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(dataset.rows);
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  DATASETS,
+  FORMATS,
+  loadDatasets,
+  toCsv,
+  toJson,
+  toXlsx
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Imports confirmed from the browser run in the background so the page can
+// show their progress. Jobs live in memory: a restart forgets them, but the
+// import itself is one transaction, so it either finished or left nothing.
+//
+// That only works on a long-running server. On serverless hosts (Vercel,
+// where the app runs on Postgres) the function may be frozen once it has
+// responded, and the next poll can reach another instance, so there the
+// import runs within the request instead.
+
+// How long a finished job is kept for its progress page to pick up
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+const runsInBackground = (env = process.env) => !env.VERCEL && !env.POSTGRES_URL;
+
+const pruneJobs = (now = Date.now()) => {
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt > FINISHED_JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+};
+
+// Start run(job), importing fileName for userId. run updates job.rows and
+// job.percent as it goes and resolves to the job's result; a throw fails the
+// job with its message. Resolves to the job: { id, userId, fileName, status
+// ('running', 'done' or 'failed'), rows, percent, result, error }, straight
+// away when it runs in the background and once it has finished otherwise.
+const startImportJob = async (userId, fileName, run, { background = runsInBackground() } = {}) => {
+  pruneJobs();
+
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    userId,
+    fileName,
+    status: 'running',
+    rows: 0,
+    percent: 0,
+    result: null,
+    error: null,
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  const finished = Promise.resolve()
+    .then(() => run(job))
+    .then((result) => {
+      job.status = 'done';
+      job.percent = 100;
+      job.result = result;
+    })
+    .catch((error) => {
+      job.status = 'failed';
+      job.error = error.message;
+    })
+    .finally(() => {
+      job.finishedAt = Date.now();
+    });
+
+  if (!background) {
+    await finished;
+  }
+  return job;
+};
+
+// One of the user's jobs, or null
+const getImportJob = (userId, id) => {
+  const job = jobs.get(id);
+  return job && job.userId === userId ? job : null;
+};
+
+module.exports = {
+  runsInBackground,
+  startImportJob,
+  getImportJob
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { hasRole } = require('./auth');
+const { isAcceptedUpload, detectImporter, readRecords } = require('./importers');
+
+// Watched-folder auto-import. The server polls a folder the flipping plugin
+// exports to and imports each new or changed file the way a confirmed
+// /upload does (format detection, duplicate and open-flip handling, auto-tag
+// rules), then moves it into processed/ or failed/ beside it. Every file
+// picked up is logged as a watch run, shown on the import history page.
+//
+// Off unless configured from the environment:
+//
+//   IMPORT_WATCH_DIR        the folder to watch
+//   IMPORT_WATCH_USER       whose records imports go to (an importer or owner)
+//   IMPORT_WATCH_INTERVAL   seconds between scans (default 30)
+//   IMPORT_WATCH_PRESET     that user's column mapping preset for CSV files
+//                           (default: guess from the headers, as /upload does)
+
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+// Watcher options from the environment, or null when it's off. Throws when
+// it's half configured.
+const watchOptions = (env = process.env) => {
+  if (!env.IMPORT_WATCH_DIR) {
+    return null;
+  }
+  if (!env.IMPORT_WATCH_USER) {
+    throw new Error('IMPORT_WATCH_USER must name the user watched imports belong to.');
+  }
+
+  const interval = env.IMPORT_WATCH_INTERVAL ? Number(env.IMPORT_WATCH_INTERVAL) : DEFAULT_INTERVAL_SECONDS;
+  if (!Number.isFinite(interval) || interval <= 0) {
+    throw new Error('IMPORT_WATCH_INTERVAL must be a number of seconds.');
+  }
+
+  return {
+    dir: path.resolve(env.IMPORT_WATCH_DIR),
+    username: env.IMPORT_WATCH_USER,
+    intervalSeconds: interval,
+    preset: env.IMPORT_WATCH_PRESET || null
+  };
+};
+
+// Name for a file moved out of the watched folder: prefixed with when, so
+// an export written again under the same name doesn't replace the last one
+const archivedName = (fileName, now = new Date()) => `${now.toISOString().replace(/[-:]|\.\d+/g, '')}-${fileName}`;
+
+class ImportWatcher {
+  constructor(db, { dir, username, intervalSeconds = DEFAULT_INTERVAL_SECONDS, preset = null }) {
+    this.db = db;
+    this.dir = dir;
+    this.username = username;
+    this.intervalSeconds = intervalSeconds;
+    this.preset = preset;
+    // Size and modified time of each file at the last scan, by name
+    this.seen = new Map();
+    this.timer = null;
+  }
+
+  // Look over the folder once. A file is only imported once it's the same
+  // size and age as at the last scan, so one the plugin is still writing
+  // waits for the next. Resolves to the runs made: [{ fileName, status,
+  // batchId, message }]. Throws, leaving the files where they are, when the
+  // configured user can't import.
+  async scan() {
+    await fs.promises.mkdir(path.join(this.dir, PROCESSED_DIR), { recursive: true });
+    await fs.promises.mkdir(path.join(this.dir, FAILED_DIR), { recursive: true });
+
+    const entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+    const seen = new Map();
+    const runs = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.') || !isAcceptedUpload(entry.name)) {
+        continue;
+      }
+
+      const stat = await fs.promises.stat(path.join(this.dir, entry.name));
+      const signature = `${stat.size}:${stat.mtimeMs}`;
+      if (this.seen.get(entry.name) !== signature) {
+        seen.set(entry.name, signature);
+        continue;
+      }
+      runs.push(await this.importFile(await this.importUser(), entry.name));
+    }
+
+    this.seen = seen;
+    return runs;
+  }
+
+  // The user imports go to, who has to be able to import
+  async importUser() {
+    const user = await this.db.getUserByUsername(this.username);
+    if (!hasRole(user, 'importer')) {
+      throw new Error(`${this.username} is not a user who can import.`);
+    }
+    return user;
+  }
+
+  // Import one file from the folder as user, move it out and log the run
+  async importFile(user, fileName) {
+    const filePath = path.join(this.dir, fileName);
+    let run;
+
+    try {
+      const importer = await detectImporter(filePath, fileName);
+      if (!importer) {
+        throw new Error('Could not recognise the format.');
+      }
+
+      const source = await readRecords(importer, filePath, { fileName, mapping: await this.presetMapping(user) });
+      if (source.missing && source.missing.length > 0) {
+        throw new Error('No column for: ' + source.missing.join(', '));
+      }
+
+      const result = await this.db.importBatch(user.id, fileName, source.records, source.invalidRows);
+      const message = `${result.newRecords} new, ${result.updated} updated, ${result.duplicates} duplicates, ${result.errors} invalid rows`;
+      await this.db.logAudit(user, 'import', {
+        entity: 'import_batch',
+        entityId: result.batchId,
+        details: `${fileName} (watched folder): ${message}`
+      });
+      run = { fileName, status: 'imported', batchId: result.batchId, message };
+    } catch (error) {
+      run = { fileName, status: 'failed', batchId: null, message: error.message };
+    }
+
+    await fs.promises.rename(filePath, path.join(this.dir, run.status === 'imported' ? PROCESSED_DIR : FAILED_DIR, archivedName(fileName)));
+    await this.db.logWatchRun(user.id, run);
+
+    if (run.status === 'imported') {
+      console.log(`📥 Imported ${fileName} from the watched folder: ${run.message}`);
+    } else {
+      console.error(`❌ Could not import ${fileName} from the watched folder: ${run.message}`);
+    }
+    return run;
+  }
+
+  // The configured preset's mapping, or null to guess from the headers
+  async presetMapping(user) {
+    if (!this.preset) {
+      return null;
+    }
+    const preset = (await this.db.getImportPresets(user.id)).find(p => p.name === this.preset);
+    if (!preset) {
+      throw new Error(`${user.username} has no import preset named "${this.preset}".`);
+    }
+    return preset.mapping;
+  }
+
+  // Scan now and then every intervalSeconds until stop()
+  start() {
+    const tick = async () => {
+      try {
+        await this.scan();
+      } catch (error) {
+        console.error('Import watcher error:', error);
+      }
+      if (this.timer) {
+        this.timer = setTimeout(tick, this.intervalSeconds * 1000);
+      }
+    };
+
+    console.log(`👀 Watching ${this.dir} for exports to import as ${this.username}`);
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  PROCESSED_DIR,
+  FAILED_DIR,
+  watchOptions,
+  archivedName,
+  ImportWatcher
+};
@@ -0,0 +1,95 @@
+const {
+  readCsv,
+  readCsvHeaders,
+  countCsvRows,
+  newTally,
+  streamRecords,
+  previewCsv,
+  guessMapping,
+  cleanMapping,
+  missingFields,
+  parseRow,
+  parseRows
+} = require('../csv-import');
+
+// Spreadsheet exports (Flipping Copilot and similar), one flip per row. The
+// header row is mapped onto our fields, so this is the one mappable format.
+module.exports = {
+  id: 'csv',
+  name: 'CSV export',
+  extensions: ['.csv'],
+  mimeTypes: ['text/csv', 'application/vnd.ms-excel'],
+  mappable: true,
+  lineLabel: 'Line',
+
+  // Anything that isn't JSON and has a comma-separated first line
+  detect(sample) {
+    const firstLine = sample.replace(/^\uFEFF/, '').split(/\r?\n/)[0];
+    return !/^\s*[[{]/.test(firstLine) && firstLine.includes(',');
+  },
+
+  async parse(filePath, { mapping = null, preview = 20 } = {}) {
+    const { headers, rows } = await readCsv(filePath);
+    const fieldMapping = mapping ? cleanMapping(mapping, headers) : guessMapping(headers);
+    const missing = missingFields(fieldMapping);
+    const { records, errors } = missing.length > 0 ? { records: [], errors: [] } : parseRows(rows, fieldMapping);
+
+    return {
+      records,
+      errors,
+      totalRows: rows.length,
+      preview: rows.slice(0, preview).map((row, index) => {
+        const parsed = parseRow(row, fieldMapping);
+        return { line: index + 2, record: parsed.record, valid: parsed.errors.length === 0 };
+      }),
+      headers,
+      mapping: fieldMapping,
+      missing
+    };
+  },
+
+  // For the preview, streamed: only the first rows and the tally are kept
+  async preview(filePath, { mapping = null, preview = 20 } = {}) {
+    const headers = await readCsvHeaders(filePath);
+    const fieldMapping = mapping ? cleanMapping(mapping, headers) : guessMapping(headers);
+    const missing = missingFields(fieldMapping);
+    const { tally, preview: rows } = await previewCsv(filePath, fieldMapping, preview);
+
+    // Until every field has a column, nothing can be imported
+    const complete = missing.length === 0;
+    return {
+      validRows: complete ? tally.rows - tally.invalidRows : 0,
+      invalidRows: complete ? tally.invalidRows : 0,
+      errorCount: complete ? tally.errorCount : 0,
+      errors: complete ? tally.errors : [],
+      totalRows: tally.rows,
+      preview: rows,
+      headers,
+      mapping: fieldMapping,
+      missing
+    };
+  },
+
+  // For importing: the header row is read up front, the records as the
+  // import takes them
+  async stream(filePath, { mapping = null } = {}) {
+    const headers = await readCsvHeaders(filePath);
+    const fieldMapping = mapping ? cleanMapping(mapping, headers) : guessMapping(headers);
+    const missing = missingFields(fieldMapping);
+    const tally = newTally();
+
+    if (missing.length > 0) {
+      return { records: [], errors: [], invalidRows: () => 0, totalRows: 0, headers, mapping: fieldMapping, missing };
+    }
+
+    return {
+      records: streamRecords(filePath, fieldMapping, tally),
+      errors: tally.errors,
+      invalidRows: () => tally.invalidRows,
+      totalRows: await countCsvRows(filePath),
+      headers,
+      mapping: fieldMapping,
+      missing
+    };
+  }
+};
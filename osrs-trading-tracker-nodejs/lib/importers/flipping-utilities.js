@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { geTax } = require('../ge-tax');
+
+// Trade history saved by the Flipping Utilities RuneLite plugin
+// (~/.runelite/flipping/<account>.json). The plugin stores GE offer events,
+// not flips:
+//
+//   { "trades": [ { "id": 536, "name": "Dragon bones", "fB": "Ormeth",
+//       "h": { "sO": [ { "uuid": "…", "b": true, "cQIT": 100, "p": 2288,
+//                        "t": 1754529952000, "st": "BOUGHT" }, … ] } } ] }
+//
+// Each offer (uuid) appears once per update with a running quantity, so only
+// its latest event counts. Offers are then replayed in time order per item: a
+// flip opens on a buy and finishes once everything bought has been sold.
+// Sells with no open buy (stock from before tracking) are ignored.
+
+const toIso = (time) => {
+  if (time === undefined || time === null || time === '') {
+    return null;
+  }
+  const date = new Date(typeof time === 'string' && /^\d+$/.test(time) ? Number(time) : time);
+  return isNaN(date.getTime()) ? null : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+};
+
+// The plugin's compact keys, with the long names older saves used
+const offersOf = (trade) => {
+  const history = trade.h || trade.history || {};
+  return history.sO || history.standardizedOffers || [];
+};
+
+const readOffer = (event) => ({
+  uuid: event.uuid,
+  buy: event.b !== undefined ? !!event.b : !!event.buy,
+  quantity: Number(event.cQIT !== undefined ? event.cQIT : event.currentQuantityInTrade) || 0,
+  price: Number(event.p !== undefined ? event.p : event.price) || 0,
+  time: toIso(event.t !== undefined ? event.t : event.time)
+});
+
+// Latest event of every offer that traded anything, oldest offer first
+const completedOffers = (events) => {
+  const latest = new Map();
+  events.forEach((event, index) => {
+    const offer = readOffer(event);
+    const key = offer.uuid || `event-${index}`;
+    const previous = latest.get(key);
+    const current = !previous || offer.quantity >= previous.quantity ? offer : previous;
+    const firstTime = [previous && previous.firstTime, offer.time].filter(Boolean).sort()[0] || null;
+    latest.set(key, { ...current, firstTime });
+  });
+
+  return [...latest.values()]
+    .filter(offer => offer.quantity > 0 && offer.firstTime)
+    .sort((a, b) => a.firstTime.localeCompare(b.firstTime));
+};
+
+const toRecord = (flip) => {
+  const avgBuyPrice = flip.bought > 0 ? Math.round(flip.buyValue / flip.bought) : 0;
+  const avgSellPrice = flip.sold > 0 ? Math.round(flip.sellValue / flip.sold) : 0;
+  const profit = flip.sold > 0 ? Math.round(flip.sellValue - flip.tax - (flip.buyValue / flip.bought) * flip.sold) : 0;
+  const finished = flip.sold >= flip.bought;
+
+  return {
+    firstBuyTime: flip.firstBuyTime,
+    lastSellTime: finished ? flip.lastSellTime : null,
+    account: flip.account,
+    item: flip.item,
+    status: finished ? 'FINISHED' : (flip.sold > 0 ? 'SELLING' : 'BUYING'),
+    bought: flip.bought,
+    sold: flip.sold,
+    avgBuyPrice,
+    avgSellPrice,
+    tax: flip.tax,
+    profit,
+    profitEa: flip.sold > 0 ? Math.round(profit / flip.sold) : 0
+  };
+};
+
+// Replay one item's offers into flips
+const groupFlips = (offers, item, account) => {
+  const flips = [];
+  let open = null;
+
+  offers.forEach(offer => {
+    if (offer.buy) {
+      if (!open) {
+        open = { item, account, firstBuyTime: offer.firstTime, lastSellTime: null, bought: 0, sold: 0, buyValue: 0, sellValue: 0, tax: 0 };
+      }
+      open.bought += offer.quantity;
+      open.buyValue += offer.quantity * offer.price;
+    } else if (open) {
+      const quantity = Math.min(offer.quantity, open.bought - open.sold);
+      open.sold += quantity;
+      open.sellValue += quantity * offer.price;
+      open.tax += quantity * geTax(offer.price, { item, time: offer.time || offer.firstTime });
+      open.lastSellTime = offer.time || offer.firstTime;
+
+      if (open.sold >= open.bought) {
+        flips.push(toRecord(open));
+        open = null;
+      }
+    }
+  });
+
+  if (open) {
+    flips.push(toRecord(open));
+  }
+  return flips;
+};
+
+module.exports = {
+  id: 'flipping-utilities',
+  name: 'Flipping Utilities (RuneLite) JSON',
+  extensions: ['.json'],
+  mimeTypes: ['application/json'],
+  mappable: false,
+  lineLabel: 'Trade',
+
+  detect(sample) {
+    return /^\s*\{/.test(sample) && /"trades"\s*:/.test(sample);
+  },
+
+  async parse(filePath, { preview = 20, fileName = filePath } = {}) {
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const trades = Array.isArray(data.trades) ? data.trades : [];
+
+    // The plugin names each save after the account it belongs to
+    const fileAccount = path.basename(fileName, path.extname(fileName));
+
+    const records = [];
+    const errors = [];
+
+    trades.forEach((trade, index) => {
+      const line = index + 1;
+      const item = trade.name || trade.itemName;
+      if (!item) {
+        errors.push({ line, field: 'Item', value: String(trade.id || ''), message: 'has no item name' });
+        return;
+      }
+
+      const events = offersOf(trade);
+      const badTimes = events.filter(event => !toIso(event.t !== undefined ? event.t : event.time)).length;
+      if (badTimes > 0) {
+        errors.push({ line, field: 'First buy time', value: item, message: `has ${badTimes} offers without a valid time` });
+      }
+
+      const account = trade.fB || trade.flippedBy || fileAccount;
+      groupFlips(completedOffers(events), item, account).forEach(record => {
+        records.push({ line, record });
+      });
+    });
+
+    records.sort((a, b) => a.record.firstBuyTime.localeCompare(b.record.firstBuyTime));
+
+    return {
+      records,
+      errors,
+      totalRows: trades.length,
+      preview: records.slice(0, preview).map(({ line, record }) => ({ line, record, valid: true }))
+    };
+  }
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import format registry. An importer describes one file format:
+//
+//   id, name               identifier and display name
+//   extensions, mimeTypes  what the upload form accepts
+//   mappable               whether its columns can be remapped (CSV only)
+//   lineLabel              what an error's line number counts ('Line', 'Trade')
+//   detect(sample, name)   true if the start of the file is in this format
+//   parse(path, options)   resolves to { records, errors, totalRows, preview }
+//                          plus { headers, mapping, missing } when mappable
+//   preview(path, options) optional: like parse() for the preview, but with
+//                          counts ({ validRows, invalidRows, errorCount }) in
+//                          place of records and only the first errors
+//   stream(path, options)  optional: like parse() for importing, but records
+//                          are an async iterable of records read on demand,
+//                          errors fills up as they're read (only the first
+//                          are kept), invalidRows() counts the bad rows read
+//                          so far and totalRows may be an estimate
+//
+// records are { line, record } with record in the shape insertRecord() takes.
+// Detection asks importers in registration order, most specific first.
+const importers = [];
+
+const SAMPLE_BYTES = 4096;
+
+const register = (importer) => {
+  importers.push(importer);
+};
+
+const getImporter = (id) => importers.find(importer => importer.id === id) || null;
+
+const listImporters = () => importers.slice();
+
+// Whether an upload looks like a file some importer could read
+const isAcceptedUpload = (fileName, mimeType) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return importers.some(importer =>
+    importer.extensions.includes(extension) || importer.mimeTypes.includes(mimeType)
+  );
+};
+
+// Pick the importer for a file from its first few KB
+const detectImporter = async (filePath, fileName) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_BYTES, 0);
+    const sample = buffer.toString('utf8', 0, bytesRead);
+    return importers.find(importer => importer.detect(sample, fileName)) || null;
+  } finally {
+    await handle.close();
+  }
+};
+
+// How many rows errors come from (a row can have several)
+const countInvalidRows = (errors) => new Set(errors.map(error => error.line)).size;
+
+// A file's import preview, streamed when the importer can and parsed whole
+// otherwise. Resolves to { validRows, invalidRows, errorCount, errors,
+// totalRows, preview, headers, mapping, missing } as preview() does.
+const previewRecords = async (importer, filePath, options = {}) => {
+  if (importer.preview) {
+    return importer.preview(filePath, options);
+  }
+
+  const { records, ...parsed } = await importer.parse(filePath, options);
+  return { ...parsed, validRows: records.length, invalidRows: countInvalidRows(parsed.errors), errorCount: parsed.errors.length };
+};
+
+// A file's records for db.importBatch(), streamed when the importer can and
+// parsed whole otherwise. Resolves to { records, errors, invalidRows,
+// totalRows, missing, headers, mapping } as stream() does.
+const readRecords = async (importer, filePath, options = {}) => {
+  if (importer.stream) {
+    return importer.stream(filePath, options);
+  }
+
+  const parsed = await importer.parse(filePath, options);
+  return {
+    ...parsed,
+    records: parsed.records.map(row => row.record),
+    invalidRows: () => countInvalidRows(parsed.errors),
+    totalRows: parsed.records.length
+  };
+};
+
+register(require('./flipping-utilities'));
+register(require('./tracker-json'));
+register(require('./csv'));
+
+module.exports = {
+  register,
+  getImporter,
+  listImporters,
+  isAcceptedUpload,
+  detectImporter,
+  previewRecords,
+  readRecords,
+  countInvalidRows
+};
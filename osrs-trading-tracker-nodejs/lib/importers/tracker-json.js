@@ -0,0 +1,64 @@
+const fs = require('fs');
+const { IMPORT_FIELDS, parseRow } = require('../csv-import');
+
+// Records as JSON: this tracker's own export ({ "records": [...] }, which
+// /export writes), or a bare array of records, as scripts pushing to the API
+// tend to send. A record's fields may be named like insertRecord() takes them
+// (firstBuyTime), like the database columns (first_buy_time), or like the CSV
+// headers (First buy time); values are checked the same way CSV values are.
+const fieldNames = (field) => [
+  field.key,
+  field.key.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase()),
+  field.label
+];
+
+// Which of a record's own keys feeds each field
+const mappingFor = (row) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    mapping[field.key] = fieldNames(field).find(name => row[name] !== undefined) || '';
+  });
+  return mapping;
+};
+
+module.exports = {
+  id: 'tracker-json',
+  name: 'Trading Tracker JSON',
+  extensions: ['.json'],
+  mimeTypes: ['application/json'],
+  mappable: false,
+  lineLabel: 'Record',
+
+  detect(sample) {
+    return /^\s*\[/.test(sample) || (/^\s*\{/.test(sample) && /"records"\s*:/.test(sample));
+  },
+
+  async parse(filePath, { preview = 20 } = {}) {
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const rows = Array.isArray(data) ? data : (Array.isArray(data.records) ? data.records : []);
+
+    const records = [];
+    const errors = [];
+    const parsedRows = rows.map((row, index) => {
+      const line = index + 1;
+      if (!row || typeof row !== 'object') {
+        errors.push({ line, field: 'Record', value: String(row), message: 'is not an object' });
+        return { line, record: {}, valid: false };
+      }
+
+      const parsed = parseRow(row, mappingFor(row));
+      parsed.errors.forEach(error => errors.push({ line, ...error }));
+      if (parsed.errors.length === 0) {
+        records.push({ line, record: parsed.record });
+      }
+      return { line, record: parsed.record, valid: parsed.errors.length === 0 };
+    });
+
+    return {
+      records,
+      errors,
+      totalRows: rows.length,
+      preview: parsedRows.slice(0, preview)
+    };
+  }
+};
@@ -0,0 +1,120 @@
+// Integrity rules for trading records. Each rule checks one record and
+// returns what is wrong with it, or null. Rules with a fix can repair a
+// record safely, by recomputing values derived from the rest of it; the
+// others need a person to look at the record.
+//
+// Average prices are stored rounded to whole GP, so profit worked out from
+// them can be off by up to half a GP per item on each side; profit within
+// the quantity sold of the expected value passes.
+
+const expectedProfit = (record) => Math.round((record.avg_sell_price - record.avg_buy_price) * record.sold - record.tax);
+const expectedProfitEa = (record, profit = record.profit) => (record.sold > 0 ? Math.round(profit / record.sold) : 0);
+
+const formatGP = (amount) => `${amount.toLocaleString('en-US')} GP`;
+
+const INTEGRITY_RULES = [
+  {
+    id: 'profit-mismatch',
+    name: 'Profit doesn\'t add up',
+    description: 'profit should be (avg sell price - avg buy price) × sold - tax.',
+    check: (record) => {
+      const expected = expectedProfit(record);
+      return Math.abs(record.profit - expected) > Math.max(1, record.sold)
+        ? `profit is ${formatGP(record.profit)}, expected ${formatGP(expected)}`
+        : null;
+    },
+    fix: (record) => {
+      const profit = expectedProfit(record);
+      return { profit, profit_ea: expectedProfitEa(record, profit) };
+    }
+  },
+  {
+    id: 'profit-ea-mismatch',
+    name: 'Profit each doesn\'t match profit',
+    description: 'profit_ea should be profit ÷ sold, or 0 when nothing sold.',
+    check: (record) => {
+      const expected = expectedProfitEa(record);
+      return Math.abs(record.profit_ea - expected) > 1
+        ? `profit each is ${formatGP(record.profit_ea)}, expected ${formatGP(expected)}`
+        : null;
+    },
+    fix: (record) => ({ profit_ea: expectedProfitEa(record) })
+  },
+  {
+    id: 'sell-before-buy',
+    name: 'Sold before it was bought',
+    description: 'last_sell_time should not come before first_buy_time.',
+    check: (record) => (
+      record.last_sell_time && Date.parse(record.last_sell_time) < Date.parse(record.first_buy_time)
+        ? `last sold ${record.last_sell_time}, first bought ${record.first_buy_time}`
+        : null
+    )
+  },
+  {
+    id: 'oversold',
+    name: 'Sold more than bought',
+    description: 'sold should not be greater than bought.',
+    check: (record) => (
+      record.sold > record.bought ? `sold ${record.sold.toLocaleString('en-US')} of ${record.bought.toLocaleString('en-US')}` : null
+    )
+  },
+  {
+    id: 'finished-unsold',
+    name: 'Finished without selling',
+    description: 'A FINISHED flip should have sold something.',
+    check: (record) => (String(record.status).toUpperCase() === 'FINISHED' && record.sold === 0 ? 'status FINISHED with 0 sold' : null)
+  },
+  {
+    id: 'negative-values',
+    name: 'Negative quantities or prices',
+    description: 'bought, sold, prices and tax should not be negative.',
+    check: (record) => {
+      const negative = ['bought', 'sold', 'avg_buy_price', 'avg_sell_price', 'tax'].filter(column => record[column] < 0);
+      return negative.length > 0 ? `negative ${negative.join(', ')}` : null;
+    }
+  }
+];
+
+const getIntegrityRule = (id) => INTEGRITY_RULES.find(rule => rule.id === id) || null;
+
+// Run every rule over records: one entry per rule, in rule order, with its
+// violations ({ record, detail }), plus how many records broke any rule
+const checkIntegrity = (records) => {
+  const flagged = new Set();
+  const rules = INTEGRITY_RULES.map(rule => {
+    const violations = [];
+    records.forEach(record => {
+      const detail = rule.check(record);
+      if (detail) {
+        violations.push({ record, detail });
+        flagged.add(record.id);
+      }
+    });
+
+    return {
+      id: rule.id,
+      name: rule.name,
+      description: rule.description,
+      fixable: !!rule.fix,
+      violations
+    };
+  });
+
+  return { checked: records.length, flagged: flagged.size, rules };
+};
+
+// { id, changes } repairing every record that breaks a fixable rule
+const integrityFixes = (records, ruleId) => {
+  const rule = getIntegrityRule(ruleId);
+  if (!rule || !rule.fix) {
+    throw new Error(`No safe fix for ${ruleId}.`);
+  }
+  return records.filter(record => rule.check(record)).map(record => ({ id: record.id, changes: rule.fix(record) }));
+};
+
+module.exports = {
+  INTEGRITY_RULES,
+  getIntegrityRule,
+  checkIntegrity,
+  integrityFixes
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const { toTimestamp } = require('./timezone');
+
+// The item catalog comes from the OSRS Wiki /mapping response saved to disk
+// (the same file price snapshots are named from): [{ id, name, members,
+// limit, highalch, ... }]. limit is the GE buy limit, the most of an item
+// one account can buy in BUY_LIMIT_HOURS; some items have none listed.
+
+const BUY_LIMIT_HOURS = 4;
+
+// How far back the buy-limit tracker reads buys (see buyLimitUsage)
+const BUY_LIMIT_LOOKBACK_HOURS = 24;
+
+// Lookup key for an item name: case, spacing and curly apostrophes vary
+// between exports, the Wiki's names don't
+const itemKey = (name) => String(name == null ? '' : name).trim().replace(/\s+/g, ' ').replace(/[‘’]/g, '\'').toLowerCase();
+
+const wholeNumber = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+
+// [{ id, name, members, buyLimit, highAlch }] from the parsed mapping file.
+// Items named twice keep their first entry. Throws when the file isn't a
+// mapping.
+const parseItemCatalog = (mapping) => {
+  if (!Array.isArray(mapping) || !mapping.every(entry => entry && Number.isInteger(entry.id) && typeof entry.name === 'string')) {
+    throw new Error('The mapping file should be the OSRS Wiki /mapping response, a list of items with an id and a name.');
+  }
+
+  const items = new Map();
+  mapping.forEach(entry => {
+    const key = itemKey(entry.name);
+    if (!key || items.has(key)) {
+      return;
+    }
+    items.set(key, {
+      id: entry.id,
+      name: entry.name.trim(),
+      members: entry.members === true,
+      buyLimit: wholeNumber(entry.limit),
+      highAlch: wholeNumber(entry.highalch)
+    });
+  });
+
+  if (items.size === 0) {
+    throw new Error('The mapping file has no items in it.');
+  }
+  return [...items.values()];
+};
+
+// Read and parse the saved mapping file
+const loadItemCatalog = async (mappingPath) => parseItemCatalog(JSON.parse(await fs.promises.readFile(mappingPath, 'utf8')));
+
+// Where each account stands against its buy limits at now (ms). The GE
+// starts an item's 4-hour window with the first buy after the last window
+// ran out, so buys (stored records: account, item, first_buy_time, bought)
+// are walked oldest first per account and item, and only a window still
+// open at now is reported. Each record's buys count at its first buy time.
+// limits maps itemKey() to the buy limit. One entry per open window,
+// resetting soonest first: { account, item, bought, limit, remaining,
+// usedPercent, windowStart, resetsAt, hoursLeft }; limit and what's worked
+// out from it are null for items without one.
+const buyLimitUsage = (records, limits, now = Date.now()) => {
+  const windowLength = BUY_LIMIT_HOURS * 3600000;
+  const groups = new Map();
+
+  [...records]
+    .map(record => ({ ...record, time: Date.parse(record.first_buy_time) }))
+    .filter(record => !Number.isNaN(record.time) && record.time <= now)
+    .sort((a, b) => a.time - b.time)
+    .forEach(record => {
+      const key = `${record.account}\u0000${itemKey(record.item)}`;
+      let group = groups.get(key);
+      if (!group || record.time >= group.start + windowLength) {
+        group = { account: record.account, item: record.item, start: record.time, bought: 0 };
+        groups.set(key, group);
+      }
+      group.bought += Number(record.bought) || 0;
+    });
+
+  return [...groups.values()]
+    .filter(group => group.start + windowLength > now)
+    .map(group => {
+      const limit = limits.has(itemKey(group.item)) ? limits.get(itemKey(group.item)) : null;
+      const resets = group.start + windowLength;
+      return {
+        account: group.account,
+        item: group.item,
+        bought: group.bought,
+        limit: limit,
+        remaining: limit !== null ? Math.max(0, limit - group.bought) : null,
+        usedPercent: limit ? Math.min(100, (group.bought * 100) / limit) : null,
+        windowStart: toTimestamp(group.start),
+        resetsAt: toTimestamp(resets),
+        hoursLeft: (resets - now) / 3600000
+      };
+    })
+    .sort((a, b) => a.resetsAt.localeCompare(b.resetsAt) || a.account.localeCompare(b.account) || a.item.localeCompare(b.item));
+};
+
+module.exports = {
+  BUY_LIMIT_HOURS,
+  BUY_LIMIT_LOOKBACK_HOURS,
+  itemKey,
+  parseItemCatalog,
+  loadItemCatalog,
+  buyLimitUsage
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+
+// Price snapshots come from OSRS Wiki real-time price files saved to disk:
+// the /latest response, { "data": { "<item id>": { high, highTime, low,
+// lowTime } } } with times in Unix seconds, and the /mapping response,
+// [{ id, name, ... }], which names the item ids. high is the last price paid
+// by someone buying instantly, low the last price got by someone selling
+// instantly; either can be null for items that rarely trade.
+
+// Stored timestamp from Unix seconds
+const fromUnix = (seconds) => (
+  Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z') : null
+);
+
+const validPrice = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+
+// { takenAt, prices: [{ item, itemId, high, highTime, low, lowTime }] } from
+// the two parsed files. takenAt is the newest trade time in the snapshot.
+// Items named twice in the mapping keep their first id. Throws when either
+// file isn't what it should be.
+const parsePriceSnapshot = (latest, mapping) => {
+  if (!latest || typeof latest.data !== 'object' || latest.data === null || Array.isArray(latest.data)) {
+    throw new Error('The prices file should be the OSRS Wiki /latest response, with a "data" object keyed by item id.');
+  }
+  if (!Array.isArray(mapping) || !mapping.every(entry => entry && Number.isInteger(entry.id) && typeof entry.name === 'string')) {
+    throw new Error('The mapping file should be the OSRS Wiki /mapping response, a list of items with an id and a name.');
+  }
+
+  const names = new Map(mapping.map(entry => [String(entry.id), entry.name]));
+  const prices = new Map();
+  let newest = 0;
+
+  Object.entries(latest.data).forEach(([id, entry]) => {
+    const item = names.get(id);
+    if (!item || !entry || prices.has(item)) {
+      return;
+    }
+
+    const high = validPrice(entry.high);
+    const low = validPrice(entry.low);
+    if (high === null && low === null) {
+      return;
+    }
+
+    if (high !== null) {
+      newest = Math.max(newest, Number(entry.highTime) || 0);
+    }
+    if (low !== null) {
+      newest = Math.max(newest, Number(entry.lowTime) || 0);
+    }
+    prices.set(item, {
+      item,
+      itemId: Number(id),
+      high,
+      highTime: high !== null ? fromUnix(entry.highTime) : null,
+      low,
+      lowTime: low !== null ? fromUnix(entry.lowTime) : null
+    });
+  });
+
+  if (prices.size === 0) {
+    throw new Error('None of the prices matched an item in the mapping file.');
+  }
+  return { takenAt: fromUnix(newest), prices: [...prices.values()] };
+};
+
+// Read and parse the two saved files
+const loadPriceSnapshot = async (latestPath, mappingPath) => {
+  const read = async (filePath) => JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  return parsePriceSnapshot(await read(latestPath), await read(mappingPath));
+};
+
+module.exports = {
+  parsePriceSnapshot,
+  loadPriceSnapshot
+};
@@ -0,0 +1,49 @@
+const { RECORD_SORT_COLUMNS } = require('../database/storage');
+const { normalizeTag } = require('./tags');
+const { STATUSES } = require('./csv-import');
+
+// Filters, sort and page for a records listing, read from a query string.
+// Shared by the records view, the exports and the JSON API so every one of
+// them understands the same parameters. Statuses are the import's, lowercased
+// the way they appear in the path (/records/finished).
+const RECORD_STATUSES = STATUSES.map(status => status.toLowerCase());
+const RECORD_PAGE_SIZES = [25, 50, 100, 250];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whole GP amount from a form field ("1,500,000" or "-2500"), or null
+const parseGP = (value) => {
+  const amount = parseInt(String(value == null ? '' : value).replace(/[,\s]/g, ''), 10);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+// account, tag and status, when given, win over the query (the views take
+// the account and tag from the selectors and the status from the path)
+const parseRecordsQuery = (query, { account = query.account, tag = query.tag, status = query.status } = {}) => {
+  const statusName = String(status || '').toLowerCase();
+  const perPage = parseInt(query.perPage, 10);
+
+  return {
+    filters: {
+      account: account ? String(account) : null,
+      status: RECORD_STATUSES.includes(statusName) ? statusName : null,
+      item: query.item ? String(query.item).trim() : null,
+      from: DATE_PATTERN.test(query.from) ? query.from : null,
+      to: DATE_PATTERN.test(query.to) ? query.to : null,
+      minProfit: parseGP(query.minProfit),
+      maxProfit: parseGP(query.maxProfit),
+      tag: tag ? normalizeTag(tag) : null
+    },
+    sort: RECORD_SORT_COLUMNS[query.sort] ? query.sort : 'imported',
+    direction: query.dir === 'asc' ? 'asc' : 'desc',
+    page: parseInt(query.page, 10) || 1,
+    perPage: RECORD_PAGE_SIZES.includes(perPage) ? perPage : 50
+  };
+};
+
+module.exports = {
+  RECORD_STATUSES,
+  RECORD_PAGE_SIZES,
+  DATE_PATTERN,
+  parseGP,
+  parseRecordsQuery
+};
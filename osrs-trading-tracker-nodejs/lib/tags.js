@@ -0,0 +1,111 @@
+// Tags label records with the strategy behind them: overnight flips,
+// dump-buying, merching and so on. They're free-form, typed as a
+// comma-separated list, and kept lowercase with single spaces so
+// "Dump buy" and "dump  buy" are the same tag.
+const MAX_TAG_LENGTH = 32;
+const MAX_NOTES_LENGTH = 1000;
+
+const normalizeTag = (tag) => String(tag == null ? '' : tag).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Unique tags, in the order given, from "Overnight, dump buy" or a list
+const parseTags = (input) => {
+  const list = Array.isArray(input) ? input : String(input == null ? '' : input).split(',');
+  return [...new Set(list.map(normalizeTag).filter(tag => tag.length > 0))];
+};
+
+// Hours from first buy to last sell, or null while nothing has sold
+const holdHours = (record) => {
+  const start = Date.parse(record.first_buy_time);
+  const end = Date.parse(record.last_sell_time);
+  return Number.isNaN(start) || Number.isNaN(end) ? null : (end - start) / 3600000;
+};
+
+// Auto-tag rules tag a record when one of its fields passes a test, e.g.
+// item contains "rune" or hold time more than 12 hours. Fields read stored
+// records (snake_case rows); numbers come back as strings from Postgres.
+const TAG_RULE_FIELDS = [
+  { id: 'item', label: 'Item', type: 'text', value: record => record.item },
+  { id: 'account', label: 'Account', type: 'text', value: record => record.account },
+  { id: 'hold-hours', label: 'Hold time (hours)', type: 'number', value: holdHours },
+  { id: 'bought', label: 'Quantity bought', type: 'number', value: record => Number(record.bought) },
+  { id: 'buy-price', label: 'Avg. buy price', type: 'number', value: record => Number(record.avg_buy_price) },
+  { id: 'profit', label: 'Profit', type: 'number', value: record => Number(record.profit) }
+];
+
+const TAG_RULE_OPERATORS = [
+  { id: 'contains', label: 'contains', type: 'text', test: (actual, expected) => actual.toLowerCase().includes(expected.toLowerCase()) },
+  { id: 'is', label: 'is', type: 'text', test: (actual, expected) => actual.toLowerCase() === expected.toLowerCase() },
+  { id: 'gt', label: 'more than', type: 'number', test: (actual, expected) => actual > expected },
+  { id: 'lt', label: 'less than', type: 'number', test: (actual, expected) => actual < expected }
+];
+
+const findField = (id) => TAG_RULE_FIELDS.find(field => field.id === id) || null;
+const findOperator = (id) => TAG_RULE_OPERATORS.find(operator => operator.id === id) || null;
+
+// An error message for a { tag, field, operator, value } rule, or null
+const validateTagRule = ({ tag, field, operator, value }) => {
+  const ruleField = findField(field);
+  const ruleOperator = findOperator(operator);
+
+  if (!tag) {
+    return 'Give the rule a tag to add.';
+  }
+  if (tag.length > MAX_TAG_LENGTH) {
+    return `Tags can be at most ${MAX_TAG_LENGTH} characters.`;
+  }
+  if (!ruleField) {
+    return `Field must be one of: ${TAG_RULE_FIELDS.map(entry => entry.id).join(', ')}.`;
+  }
+  if (!ruleOperator || ruleOperator.type !== ruleField.type) {
+    const allowed = TAG_RULE_OPERATORS.filter(entry => entry.type === ruleField.type);
+    return `${ruleField.label} can only be compared with: ${allowed.map(entry => entry.label).join(', ')}.`;
+  }
+  if (!value) {
+    return 'Give the rule a value to compare with.';
+  }
+  if (ruleField.type === 'number' && !Number.isFinite(Number(value))) {
+    return `${ruleField.label} needs a number to compare with.`;
+  }
+  return null;
+};
+
+// Whether a stored record passes a stored rule. A record without the
+// field (hold time on an unsold flip) never does.
+const matchesTagRule = (rule, record) => {
+  const field = findField(rule.field);
+  const operator = findOperator(rule.operator);
+  if (!field || !operator) {
+    return false;
+  }
+
+  const actual = field.value(record);
+  if (actual === null || actual === undefined || (field.type === 'number' && Number.isNaN(actual))) {
+    return false;
+  }
+  return operator.test(field.type === 'number' ? actual : String(actual), field.type === 'number' ? Number(rule.value) : rule.value);
+};
+
+// Tags the rules give a record
+const autoTags = (rules, record) => parseTags(rules.filter(rule => matchesTagRule(rule, record)).map(rule => rule.tag));
+
+// "Hold time (hours) more than 12"
+const describeTagRule = (rule) => {
+  const field = findField(rule.field);
+  const operator = findOperator(rule.operator);
+  const value = field && field.type === 'text' ? `"${rule.value}"` : rule.value;
+  return `${field ? field.label : rule.field} ${operator ? operator.label : rule.operator} ${value}`;
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_NOTES_LENGTH,
+  TAG_RULE_FIELDS,
+  TAG_RULE_OPERATORS,
+  normalizeTag,
+  parseTags,
+  holdHours,
+  validateTagRule,
+  matchesTagRule,
+  autoTags,
+  describeTagRule
+};
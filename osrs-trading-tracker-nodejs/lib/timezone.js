@@ -0,0 +1,180 @@
+// Reporting time zones and calendar periods. Timestamps are stored as UTC
+// ISO-8601 text; reports bucket them into the days, weeks (Monday to
+// Sunday), months or years of the user's reporting time zone. Days and weeks
+// are keyed by their first day (YYYY-MM-DD), months by YYYY-MM and years by
+// YYYY.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const PERIODS = ['day', 'week', 'month', 'year'];
+
+const PROFIT_ATTRIBUTIONS = ['buy', 'sell'];
+
+// Every zone the settings page offers
+const TIME_ZONES = [DEFAULT_TIME_ZONE, ...Intl.supportedValuesOf('timeZone').filter(zone => zone !== DEFAULT_TIME_ZONE)];
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Building a formatter is slow, so keep one per zone
+const formatters = new Map();
+const wallClockFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// A Date from a stored timestamp, a database Date, or a zoneless
+// "YYYY-MM-DD HH:MM:SS" (SQLite's CURRENT_TIMESTAMP, which is UTC)
+const toDate = (value) => {
+  if (value instanceof Date) {
+    return value;
+  }
+  const text = String(value);
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  return new Date(text.replace(' ', 'T') + (hasZone ? '' : 'Z'));
+};
+
+// How a stored timestamp is written
+const toTimestamp = (time) => new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+// Minutes timeZone is ahead of UTC at an instant (ms since the epoch)
+const offsetAt = (time, timeZone) => {
+  const parts = {};
+  wallClockFormatter(timeZone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return (wallClock - Math.floor(time / 1000) * 1000) / 60000;
+};
+
+// Calendar dates are handled as UTC midnights so date maths never meets a
+// DST change; startOf() turns one into the real instant it begins
+const calendarDay = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// The instant a calendar date begins in timeZone
+const startOf = (date, timeZone) => {
+  const wallClock = date.getTime();
+  const guess = wallClock - offsetAt(wallClock, timeZone) * 60000;
+  // Near a DST change the offset at the guess is the one that applies
+  return wallClock - offsetAt(guess, timeZone) * 60000;
+};
+
+// The calendar date an instant falls on in timeZone
+const localDay = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const time = toDate(value).getTime();
+  return dayKey(new Date(time + offsetAt(time, timeZone) * 60000));
+};
+
+// The period containing a calendar date: its first day and key
+const periodOf = (period, date) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  let start;
+  switch (period) {
+    case 'week': start = calendarDay(year, month, date.getUTCDate() - ((date.getUTCDay() + 6) % 7)); break;
+    case 'month': start = calendarDay(year, month, 1); break;
+    case 'year': start = calendarDay(year, 1, 1); break;
+    default: start = date;
+  }
+
+  const key = period === 'month' ? dayKey(start).slice(0, 7) : (period === 'year' ? dayKey(start).slice(0, 4) : dayKey(start));
+  return { start, key };
+};
+
+// First day of the period after the one starting on start
+const nextPeriod = (period, start) => {
+  const [year, month, day] = [start.getUTCFullYear(), start.getUTCMonth() + 1, start.getUTCDate()];
+  switch (period) {
+    case 'week': return calendarDay(year, month, day + 7);
+    case 'month': return calendarDay(year, month + 1, 1);
+    case 'year': return calendarDay(year + 1, 1, 1);
+    default: return calendarDay(year, month, day + 1);
+  }
+};
+
+// Key of the period before the one keyed key
+const previousPeriod = (period, key) => {
+  const [year, month = 1, day = 1] = key.split('-').map(Number);
+  switch (period) {
+    case 'week': return dayKey(calendarDay(year, month, day - 7));
+    case 'month': return dayKey(calendarDay(year, month - 1, 1)).slice(0, 7);
+    case 'year': return String(year - 1);
+    default: return dayKey(calendarDay(year, month, day - 1));
+  }
+};
+
+// Every period of timeZone from the one holding the first timestamp to the
+// one holding the last, oldest first: { period, starts, ends } with starts
+// inclusive, ends exclusive, both written like stored timestamps so SQL can
+// compare them as text
+const periodBounds = (period, first, last, timeZone = DEFAULT_TIME_ZONE) => {
+  const lastTime = toDate(last).getTime();
+  const bounds = [];
+
+  let { start } = periodOf(period, new Date(Date.parse(localDay(first, timeZone))));
+  let startTime = startOf(start, timeZone);
+  while (startTime <= lastTime) {
+    const next = nextPeriod(period, start);
+    const nextTime = startOf(next, timeZone);
+    bounds.push({ period: periodOf(period, start).key, starts: toTimestamp(startTime), ends: toTimestamp(nextTime) });
+    start = next;
+    startTime = nextTime;
+  }
+  return bounds;
+};
+
+// Human name for a period key: "08/07/2025", "Week of 08/04/2025",
+// "August 2025" or "2025"
+const periodLabel = (period, key) => {
+  const [year, month = 1, day = 1] = key.split('-').map(Number);
+  const date = calendarDay(year, month, day);
+  const dayLabel = date.toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: 'numeric', timeZone: 'UTC' });
+  switch (period) {
+    case 'week': return `Week of ${dayLabel}`;
+    case 'month': return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    case 'year': return String(year);
+    default: return dayLabel;
+  }
+};
+
+// Storage reporting options from a user's settings, falling back to the
+// defaults for anything no longer valid
+const reportingOptions = (settings = {}) => ({
+  timezone: isValidTimeZone(settings.timezone) ? settings.timezone : DEFAULT_TIME_ZONE,
+  attribution: PROFIT_ATTRIBUTIONS.includes(settings.profitAttribution) ? settings.profitAttribution : PROFIT_ATTRIBUTIONS[0]
+});
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  PERIODS,
+  PROFIT_ATTRIBUTIONS,
+  TIME_ZONES,
+  isValidTimeZone,
+  toDate,
+  toTimestamp,
+  localDay,
+  periodBounds,
+  previousPeriod,
+  periodLabel,
+  reportingOptions
+};
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../database');
+const { hasRole, hashApiToken } = require('../lib/auth');
+const { parseRecordsQuery } = require('../lib/record-query');
+const { reportingOptions } = require('../lib/timezone');
+const { detectImporter, readRecords } = require('../lib/importers');
+
+// Versioned JSON API (/api/v1). Callers authenticate with a per-user token
+// from the settings page, sent as "Authorization: Bearer <token>", and act
+// with that user's role. Every endpoint takes the records view filters
+// (account, status, item, from, to, minProfit, maxProfit, tag) in the query
+// string.
+//
+// Successful responses are { data } (plus paging for /records); failures are
+// always { error: { code, message } } with a matching HTTP status.
+
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024; // Same 10MB limit as /upload
+const MAX_LISTED_ERRORS = 200;
+
+const sendError = (res, status, code, message, extra = {}) => {
+  res.status(status).json({ error: { code, message, ...extra } });
+};
+
+// Load the token's user onto req.user, or refuse the request
+const authenticate = async (req, res, next) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return sendError(res, 401, 'unauthorized', 'Send an API token as "Authorization: Bearer <token>".');
+  }
+
+  try {
+    req.user = await db.getUserByApiToken(hashApiToken(match[1]));
+    if (!req.user) {
+      return sendError(res, 401, 'invalid_token', 'This API token is not valid or has been revoked.');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return sendError(res, 403, 'forbidden', `You need the ${role} role to do that.`);
+  }
+  next();
+};
+
+router.use(authenticate);
+
+// Load one dataset for the caller, the query's filters and the caller's
+// reporting time zone and profit attribution
+const dataRoute = (load) => async (req, res, next) => {
+  try {
+    const { filters } = parseRecordsQuery(req.query);
+    const reporting = reportingOptions(await db.getSettings(req.user.id));
+    res.json({ data: await load(req.user.id, filters, reporting) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get('/stats', requireRole('viewer'), dataRoute((userId, filters) => db.getDashboardStats(userId, filters)));
+router.get('/daily-returns', requireRole('viewer'), dataRoute((userId, filters, reporting) => db.getDailyReturns(userId, filters, reporting)));
+router.get('/timeline', requireRole('viewer'), dataRoute((userId, filters, reporting) => db.getTimelineData(userId, filters, reporting)));
+router.get('/items', requireRole('viewer'), dataRoute((userId, filters) => db.getItemStats(userId, filters)));
+router.get('/accounts', requireRole('viewer'), dataRoute(userId => db.getAccountComparison(userId)));
+router.get('/capital', requireRole('viewer'), dataRoute(userId => db.getCapitalEvents(userId)));
+
+// One page of records: ?sort=, ?dir=, ?page= and ?perPage= as on /records
+router.get('/records', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const state = parseRecordsQuery(req.query);
+    const result = await db.searchRecords(req.user.id, state.filters, state);
+
+    res.json({
+      data: result.records,
+      page: result.page,
+      pages: result.pages,
+      perPage: result.perPage,
+      total: result.total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import a file sent as the request body: any format /upload accepts (CSV,
+// Flipping Utilities or Trading Tracker JSON). CSV headers are matched the
+// way the upload preview guesses them, or set with ?mapping[field]=header.
+// ?fileName= names the import in the import history.
+router.post('/import', requireRole('importer'), express.raw({ type: () => true, limit: MAX_IMPORT_BYTES }), async (req, res, next) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return sendError(res, 400, 'empty_body', 'Send the file to import as the request body.');
+  }
+
+  const fileName = path.basename(String(req.query.fileName || 'api-import'));
+  const filePath = path.join(os.tmpdir(), `osrs-import-${crypto.randomBytes(8).toString('hex')}`);
+
+  try {
+    await fs.promises.writeFile(filePath, req.body);
+
+    const importer = await detectImporter(filePath, fileName);
+    if (!importer) {
+      return sendError(res, 415, 'unsupported_format', 'Could not recognise the format of the request body.');
+    }
+
+    const source = await readRecords(importer, filePath, { fileName, mapping: req.query.mapping || null });
+    if (source.missing && source.missing.length > 0) {
+      return sendError(res, 422, 'unmapped_columns', 'Map a column to: ' + source.missing.join(', '), {
+        headers: source.headers,
+        missing: source.missing
+      });
+    }
+
+    const result = await db.importBatch(req.user.id, fileName, source.records, source.invalidRows);
+    const invalidRows = result.errors;
+
+    try {
+      await db.logAudit(req.user, 'import', {
+        entity: 'import_batch',
+        entityId: result.batchId,
+        details: `${fileName}: ${result.newRecords} new, ${result.updated} updated, ${result.duplicates} duplicates, ${invalidRows} invalid rows`
+      });
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+
+    res.status(201).json({
+      data: {
+        batchId: result.batchId,
+        format: importer.id,
+        newRecords: result.newRecords,
+        updated: result.updated,
+        duplicates: result.duplicates,
+        tagged: result.tagged,
+        invalid: invalidRows,
+        totalRecords: result.totalInDb,
+        errors: source.errors.slice(0, MAX_LISTED_ERRORS)
+      }
+    });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON: ' + error.message);
+    }
+    next(error);
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+});
+
+router.use((req, res) => {
+  sendError(res, 404, 'not_found', `No API endpoint at ${req.method} ${req.originalUrl}.`);
+});
+
+// Body parser errors (oversized bodies) carry their own status
+router.use((error, req, res, next) => {
+  if (error.status && error.status < 500) {
+    return sendError(res, error.status, error.type === 'entity.too.large' ? 'payload_too_large' : 'bad_request', error.message);
+  }
+  console.error('API error:', error);
+  sendError(res, 500, 'internal_error', 'Something went wrong.');
+});
+
+module.exports = router;
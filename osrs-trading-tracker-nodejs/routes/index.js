@@ -1,19 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
-const bcrypt = require('bcryptjs');
-const db = require('../database/db');
+const db = require('../database');
+const { RECORD_SORT_COLUMNS, RECORD_COLUMNS, CAPITAL_EVENT_TYPES, AUDIT_ACTIONS } = require('../database/storage');
+const {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  validateUser,
+  generateApiToken,
+  requireSetup,
+  loadUser,
+  hasRole,
+  requireRole
+} = require('../lib/auth');
+const { IMPORT_FIELDS, STATUSES, parseRow } = require('../lib/csv-import');
+const { getImporter, listImporters, isAcceptedUpload, detectImporter, previewRecords, readRecords } = require('../lib/importers');
+const { startImportJob, getImportJob } = require('../lib/import-jobs');
+const { DATASETS, FORMATS, loadDatasets, toCsv, toJson, toXlsx } = require('../lib/exporters');
+const { RECORD_PAGE_SIZES, DATE_PATTERN, parseGP, parseRecordsQuery } = require('../lib/record-query');
+const { analyzeReturns } = require('../lib/analytics');
+const { loadPriceSnapshot } = require('../lib/prices');
+const { BUY_LIMIT_HOURS, BUY_LIMIT_LOOKBACK_HOURS, loadItemCatalog } = require('../lib/items');
+const { TAX_RULES, CURRENT_RULES, getTaxRules, customTaxRules, auditTax, taxWhatIf } = require('../lib/ge-tax');
+const { getIntegrityRule, checkIntegrity, integrityFixes } = require('../lib/integrity');
+const {
+  MAX_TAG_LENGTH,
+  MAX_NOTES_LENGTH,
+  TAG_RULE_FIELDS,
+  TAG_RULE_OPERATORS,
+  parseTags,
+  validateTagRule,
+  describeTagRule
+} = require('../lib/tags');
+const { PERIODS, PROFIT_ATTRIBUTIONS, TIME_ZONES, isValidTimeZone, periodLabel, reportingOptions } = require('../lib/timezone');
 
-// File upload configuration
+// File upload configuration. Any format a registered importer reads is
+// accepted; the importer is picked from the file's content after upload.
 const upload = multer({
   dest: 'uploads/',
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (isAcceptedUpload(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'));
+      const extensions = listImporters().map(importer => importer.extensions.join(', ')).join(', ');
+      cb(new Error(`Unsupported file type. Upload one of: ${extensions}`));
     }
   },
   limits: {
@@ -21,31 +53,71 @@ const upload = multer({
   }
 });
 
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-  if (req.session && req.session.isAdmin) {
-    return next();
-  } else {
-    return res.redirect('/login?error=unauthorized');
+// First-run setup gate, then load the logged-in user for every request
+router.use(requireSetup);
+router.use(loadUser);
+
+// The logged-in user's reporting time zone and profit attribution, for the
+// stats queries (req.reporting) and the date helpers (res.locals.timezone)
+router.use(async (req, res, next) => {
+  try {
+    req.reporting = reportingOptions(req.user ? await db.getSettings(req.user.id) : {});
+    res.locals.timezone = req.reporting.timezone;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Account and tag selectors shared by the stats pages. Every query on the
+// page is scoped to ?account= when it names one of the user's accounts, and
+// to ?tag= when it names one of their tags. filterQuery is the selection as
+// a query string, for links that should keep it.
+const accountFilter = async (req, res, next) => {
+  try {
+    const [accounts, tags] = await Promise.all([db.getAccounts(req.user.id), db.listTags(req.user.id)]);
+    const account = accounts.includes(req.query.account) ? req.query.account : null;
+    const tag = tags.some(entry => entry.tag === req.query.tag) ? req.query.tag : null;
+
+    const selection = new URLSearchParams();
+    if (account) selection.set('account', account);
+    if (tag) selection.set('tag', tag);
+
+    req.filters = { account, tag };
+    res.locals.accounts = accounts;
+    res.locals.selectedAccount = account;
+    res.locals.tags = tags.map(entry => entry.tag);
+    res.locals.selectedTag = tag;
+    res.locals.filterQuery = selection.toString();
+    next();
+  } catch (error) {
+    next(error);
   }
 };
 
-// Add helper to check auth status in templates
-router.use((req, res, next) => {
-  res.locals.isAdmin = req.session && req.session.isAdmin;
-  next();
-});
+// Write to the audit log (see Storage#logAudit). A failed write is only
+// logged, since what it records has already happened.
+const audit = async (actor, action, entry = {}) => {
+  try {
+    await db.logAudit(actor, action, entry);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
 
 // Dashboard route
-router.get('/', async (req, res) => {
+router.get('/', requireRole('viewer'), accountFilter, async (req, res) => {
   try {
-    const stats = await db.getDashboardStats();
+    const stats = await db.getDashboardStats(req.user.id, req.filters);
+    const { totals: openPositions } = await db.getOpenPositions(req.user.id, req.filters);
 
     res.render('dashboard', {
       title: '🏰 OSRS Trading Tracker - Grand Exchange Master',
       totalProfit: stats.totalProfit || 0,
       completedFlips: stats.completedFlips || 0,
       totalRecords: stats.totalRecords || 0,
+      openPositions: openPositions,
+      health: await db.getIntegrityCheck(req.user.id),
       topFlips: stats.topFlips || [],
       topItems: stats.topItems || [],
       success: req.query.success,
@@ -60,6 +132,7 @@ router.get('/', async (req, res) => {
       totalProfit: 0,
       completedFlips: 0,
       totalRecords: 0,
+      openPositions: { positions: 0, capital: 0 },
       topFlips: [],
       topItems: [],
       error: 'Failed to load dashboard data'
@@ -68,10 +141,10 @@ router.get('/', async (req, res) => {
 });
 
 // All-time returns route (formerly daily-returns)
-router.get('/daily-returns', async (req, res) => {
+router.get('/daily-returns', requireRole('viewer'), accountFilter, async (req, res) => {
   try {
-    const dashboardStats = await db.getDashboardStats();
-    const dailyReturns = await db.getDailyReturns();
+    const dashboardStats = await db.getDashboardStats(req.user.id, req.filters);
+    const dailyReturns = await db.getDailyReturns(req.user.id, req.filters, req.reporting);
 
     // Calculate additional stats
     const tradingDays = dailyReturns.length;
@@ -87,7 +160,8 @@ router.get('/daily-returns', async (req, res) => {
       totalRecords: dashboardStats.totalRecords || 0,
       tradingDays: tradingDays,
       successRate: successRate,
-      avgDailyProfit: avgDailyProfit
+      avgDailyProfit: avgDailyProfit,
+      analytics: analyzeReturns(dailyReturns)
     });
   } catch (error) {
     console.error('All-time returns error:', error);
@@ -99,15 +173,16 @@ router.get('/daily-returns', async (req, res) => {
       tradingDays: 0,
       successRate: 0,
       avgDailyProfit: 0,
+      analytics: null,
       error: 'Failed to load all-time returns data'
     });
   }
 });
 
 // Timeline route
-router.get('/timeline', async (req, res) => {
+router.get('/timeline', requireRole('viewer'), accountFilter, async (req, res) => {
   try {
-    const timelineData = await db.getTimelineData();
+    const timelineData = await db.getTimelineData(req.user.id, req.filters, req.reporting);
 
     res.render('timeline', {
       title: '📊 Trading Timeline - OSRS Trading Tracker',
@@ -123,25 +198,690 @@ router.get('/timeline', async (req, res) => {
   }
 });
 
-// Records routes
-router.get('/records/:status?', async (req, res) => {
+// One item's flips, totals and price history
+router.get('/items/:name', requireRole('viewer'), accountFilter, async (req, res) => {
+  const item = req.params.name;
+
+  try {
+    const detail = await db.getItemDetail(req.user.id, item, req.filters);
+
+    res.status(detail ? 200 : 404).render('item', {
+      title: `🗡️ ${item} - OSRS Trading Tracker`,
+      item: item,
+      detail: detail,
+      catalogItem: await db.getCatalogItem(item)
+    });
+  } catch (error) {
+    console.error('Item detail error:', error);
+    res.render('item', {
+      title: 'Item Details',
+      item: item,
+      detail: null,
+      error: 'Failed to load item details'
+    });
+  }
+});
+
+// Weekly, monthly or yearly returns with the change on the period before
+router.get('/rollups', requireRole('viewer'), accountFilter, async (req, res) => {
+  const period = PERIODS.includes(req.query.period) && req.query.period !== 'day' ? req.query.period : 'month';
+
+  try {
+    const rollups = await db.getRollups(req.user.id, req.filters, period, req.reporting);
+
+    res.render('rollups', {
+      title: '🗓️ Rollups - OSRS Trading Tracker',
+      period: period,
+      rollups: rollups.map(row => ({ ...row, label: periodLabel(period, row.period) })),
+      reporting: req.reporting
+    });
+  } catch (error) {
+    console.error('Rollups error:', error);
+    res.render('rollups', {
+      title: 'Rollups',
+      period: period,
+      rollups: [],
+      reporting: req.reporting,
+      error: 'Failed to load rollups'
+    });
+  }
+});
+
+// Unfinished flips with the capital they hold, marked to the last loaded
+// price snapshot
+router.get('/positions', requireRole('viewer'), accountFilter, async (req, res) => {
+  try {
+    const { positions, totals } = await db.getOpenPositions(req.user.id, req.filters);
+
+    res.render('positions', {
+      title: '⏳ Open Positions - OSRS Trading Tracker',
+      positions: positions,
+      totals: totals,
+      snapshot: await db.getPriceSnapshot(),
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('Open positions error:', error);
+    res.render('positions', {
+      title: 'Open Positions',
+      positions: [],
+      totals: {},
+      snapshot: null,
+      error: 'Failed to load open positions'
+    });
+  }
+});
+
+// Load a price snapshot: the OSRS Wiki /latest and /mapping responses saved
+// as JSON files. It replaces the one before.
+router.post('/positions/prices', requireRole('importer'), (req, res) => {
+  upload.fields([{ name: 'latest', maxCount: 1 }, { name: 'mapping', maxCount: 1 }])(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.redirect('/positions?error=' + encodeURIComponent(uploadError.message));
+    }
+
+    const files = req.files || {};
+    const latest = files.latest && files.latest[0];
+    const mapping = files.mapping && files.mapping[0];
+    const cleanUp = () => [latest, mapping].forEach(file => file && fs.unlinkSync(file.path));
+
+    if (!latest || !mapping) {
+      cleanUp();
+      return res.redirect('/positions?error=' + encodeURIComponent('Choose both the prices file and the mapping file.'));
+    }
+
+    try {
+      const snapshot = await loadPriceSnapshot(latest.path, mapping.path);
+      const snapshotId = await db.savePriceSnapshot(req.user.id, latest.originalname, snapshot);
+      await audit(req.user, 'price-upload', {
+        entity: 'price_snapshot',
+        entityId: snapshotId,
+        details: `${latest.originalname}: ${snapshot.prices.length} items as of ${snapshot.takenAt}`
+      });
+      cleanUp();
+      res.redirect('/positions?success=' + encodeURIComponent(`💹 Loaded prices for ${snapshot.prices.length.toLocaleString('en-US')} items.`));
+    } catch (error) {
+      console.error('Price snapshot error:', error);
+      cleanUp();
+      res.redirect('/positions?error=' + encodeURIComponent('💥 Could not load prices: ' + error.message));
+    }
+  });
+});
+
+// Where each account stands against the GE's 4-hour buy limits, worked out
+// from the buys of the last day
+router.get('/limits', requireRole('viewer'), accountFilter, async (req, res) => {
+  try {
+    res.render('limits', {
+      title: '⏱️ Buy Limits - OSRS Trading Tracker',
+      usage: await db.getBuyLimitUsage(req.user.id, req.filters),
+      catalog: await db.getItemCatalogLoad(),
+      limitHours: BUY_LIMIT_HOURS,
+      lookbackHours: BUY_LIMIT_LOOKBACK_HOURS
+    });
+  } catch (error) {
+    console.error('Buy limits error:', error);
+    res.render('limits', {
+      title: 'Buy Limits',
+      usage: [],
+      catalog: null,
+      limitHours: BUY_LIMIT_HOURS,
+      lookbackHours: BUY_LIMIT_LOOKBACK_HOURS,
+      error: 'Failed to load buy limits'
+    });
+  }
+});
+
+// The item catalog: search it (?q=) and see which traded names it doesn't know
+router.get('/catalog', requireRole('viewer'), async (req, res) => {
+  const search = (req.query.q || '').trim();
+
+  try {
+    const catalog = await db.getItemCatalogLoad();
+
+    res.render('catalog', {
+      title: '📖 Item Catalog - OSRS Trading Tracker',
+      catalog: catalog,
+      search: search,
+      items: catalog && search ? await db.searchItemCatalog(search) : [],
+      unknownItems: catalog ? await db.getUnknownItems(req.user.id) : [],
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('Item catalog error:', error);
+    res.render('catalog', {
+      title: 'Item Catalog',
+      catalog: null,
+      search: search,
+      items: [],
+      unknownItems: [],
+      error: 'Failed to load the item catalog'
+    });
+  }
+});
+
+// Load the item catalog from the OSRS Wiki /mapping response saved as JSON.
+// It replaces the one before; records keep the names they have until they're
+// imported or edited again.
+router.post('/catalog', requireRole('importer'), (req, res) => {
+  upload.single('mapping')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.redirect('/catalog?error=' + encodeURIComponent(uploadError.message));
+    }
+    if (!req.file) {
+      return res.redirect('/catalog?error=' + encodeURIComponent('Choose the mapping file.'));
+    }
+
+    const cleanUp = () => fs.unlinkSync(req.file.path);
+
+    try {
+      const items = await loadItemCatalog(req.file.path);
+      const loadId = await db.saveItemCatalog(req.user.id, req.file.originalname, items);
+      await audit(req.user, 'catalog-upload', {
+        entity: 'item_catalog',
+        entityId: loadId,
+        details: `${req.file.originalname}: ${items.length} items`
+      });
+      cleanUp();
+      res.redirect('/catalog?success=' + encodeURIComponent(`📖 Loaded ${items.length.toLocaleString('en-US')} items.`));
+    } catch (error) {
+      console.error('Item catalog error:', error);
+      cleanUp();
+      res.redirect('/catalog?error=' + encodeURIComponent('💥 Could not load the catalog: ' + error.message));
+    }
+  });
+});
+
+// GE tax check: records whose imported tax disagrees with the rules at their
+// sale time, and a what-if re-running the whole history under one rule set
+// (?rules=<id>, or ?rules=custom with a rate in %, cap and threshold in GP)
+const MAX_LISTED_TAX_RECORDS = 200;
+const MAX_WHAT_IF_ITEMS = 25;
+
+const parseWhatIfRules = (query) => {
+  if (query.rules !== 'custom') {
+    return { rules: getTaxRules(query.rules) || CURRENT_RULES };
+  }
+
+  const rate = parseFloat(query.rate);
+  const cap = parseGP(query.cap);
+  const threshold = parseGP(query.threshold);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+    return { rules: CURRENT_RULES, problem: 'The tax rate must be a percentage from 0 to 100.' };
+  }
+  if (cap === null || cap < 0 || threshold === null || threshold < 0) {
+    return { rules: CURRENT_RULES, problem: 'The cap and threshold must be whole numbers of GP.' };
+  }
+  return { rules: customTaxRules({ rate: rate / 100, cap, threshold }) };
+};
+
+router.get('/tax', requireRole('viewer'), accountFilter, async (req, res) => {
+  const { rules, problem } = parseWhatIfRules(req.query);
+
+  try {
+    const records = await db.getTaxRecords(req.user.id, req.filters);
+    const flagged = auditTax(records);
+    const whatIf = taxWhatIf(records, rules);
+
+    res.render('tax', {
+      title: '🏛️ GE Tax - OSRS Trading Tracker',
+      taxRules: TAX_RULES,
+      checked: records.length,
+      flaggedCount: flagged.length,
+      flagged: flagged.slice(0, MAX_LISTED_TAX_RECORDS),
+      hiddenFlagged: Math.max(0, flagged.length - MAX_LISTED_TAX_RECORDS),
+      whatIf: { ...whatIf, items: whatIf.items.slice(0, MAX_WHAT_IF_ITEMS) },
+      custom: customTaxRules(rules.id === 'custom' ? rules : {}),
+      error: problem || req.query.error
+    });
+  } catch (error) {
+    console.error('GE tax error:', error);
+    res.render('tax', {
+      title: 'GE Tax',
+      taxRules: TAX_RULES,
+      checked: 0,
+      flaggedCount: 0,
+      flagged: [],
+      hiddenFlagged: 0,
+      whatIf: null,
+      custom: customTaxRules(),
+      error: 'Failed to check GE tax'
+    });
+  }
+});
+
+// Account comparison route
+router.get('/accounts', requireRole('viewer'), async (req, res) => {
+  try {
+    const accounts = await db.getAccountComparison(req.user.id);
+
+    res.render('accounts', {
+      title: '🧙 Account Comparison - OSRS Trading Tracker',
+      accounts: accounts
+    });
+  } catch (error) {
+    console.error('Account comparison error:', error);
+    res.render('accounts', {
+      title: 'Account Comparison',
+      accounts: [],
+      error: 'Failed to load account comparison'
+    });
+  }
+});
+
+// Capital ledger: deposits, withdrawals and transfers between accounts,
+// which the timeline's net worth and returns are built from
+router.get('/capital', requireRole('viewer'), accountFilter, async (req, res) => {
+  try {
+    const events = await db.getCapitalEvents(req.user.id);
+
+    const totals = { deposited: 0, withdrawn: 0, transferred: 0 };
+    events.forEach(event => {
+      if (event.type === 'deposit') {
+        totals.deposited += event.amount;
+      } else if (event.type === 'withdrawal') {
+        totals.withdrawn += event.amount;
+      } else {
+        totals.transferred += event.amount;
+      }
+    });
+
+    res.render('capital', {
+      title: '💰 Capital Ledger - OSRS Trading Tracker',
+      events: events,
+      totals: { ...totals, net: totals.deposited - totals.withdrawn },
+      types: CAPITAL_EVENT_TYPES,
+      today: new Date().toISOString().slice(0, 10),
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('Capital ledger error:', error);
+    res.render('capital', {
+      title: 'Capital Ledger',
+      events: [],
+      totals: {},
+      types: CAPITAL_EVENT_TYPES,
+      error: 'Failed to load capital ledger'
+    });
+  }
+});
+
+router.post('/capital', requireRole('importer'), async (req, res) => {
+  const type = String(req.body.type || '');
+  const date = String(req.body.date || '');
+  const amount = parseGP(req.body.amount);
+  const account = String(req.body.account || '').trim();
+  const toAccount = String(req.body.toAccount || '').trim();
+  const note = String(req.body.note || '').trim();
+
+  let problem = null;
+  if (!CAPITAL_EVENT_TYPES.includes(type)) {
+    problem = `Type must be one of: ${CAPITAL_EVENT_TYPES.join(', ')}.`;
+  } else if (!DATE_PATTERN.test(date) || isNaN(new Date(date).getTime())) {
+    problem = 'Pick the date the money moved.';
+  } else if (amount === null || amount <= 0) {
+    problem = 'Amount must be a whole number of GP above zero.';
+  } else if (type === 'transfer' && (!account || !toAccount || account === toAccount)) {
+    problem = 'A transfer needs two different accounts.';
+  } else if (note.length > 200) {
+    problem = 'Notes can be at most 200 characters.';
+  }
+  if (problem) {
+    return res.redirect('/capital?error=' + encodeURIComponent(problem));
+  }
+
+  try {
+    await db.addCapitalEvent(req.user.id, { type, date, amount, account, toAccount, note });
+    res.redirect('/capital?success=' + encodeURIComponent(`💰 Recorded ${type} of ${amount.toLocaleString('en-US')} GP.`));
+  } catch (error) {
+    console.error('Add capital event error:', error);
+    res.redirect('/capital?error=' + encodeURIComponent('Failed to record capital event: ' + error.message));
+  }
+});
+
+router.post('/capital/:id/delete', requireRole('importer'), async (req, res) => {
+  try {
+    const result = await db.deleteCapitalEvent(req.user.id, req.params.id);
+    if (result.changes) {
+      await audit(req.user, 'capital-delete', { entity: 'capital_event', entityId: Number(req.params.id) });
+    }
+    res.redirect('/capital?success=' + encodeURIComponent('🗑️ Capital event deleted.'));
+  } catch (error) {
+    console.error('Delete capital event error:', error);
+    res.redirect('/capital?error=' + encodeURIComponent('Failed to delete capital event: ' + error.message));
+  }
+});
+
+// Records routes. Filters, sort and page all live in the query string so a
+// view can be bookmarked; the path status (/records/finished) still works.
+// The account and tag come from the selectors (see accountFilter).
+const recordsQuery = (req) => parseRecordsQuery(req.query, {
+  account: req.filters.account,
+  tag: req.filters.tag,
+  status: req.params.status || req.query.status
+});
+
+// /records URL for the given state, leaving out anything at its default
+const recordsUrl = (state) => {
+  const params = new URLSearchParams();
+  const { filters } = state;
+
+  ['status', 'account', 'tag', 'item', 'from', 'to', 'minProfit', 'maxProfit'].forEach(key => {
+    if (filters[key] != null && filters[key] !== '') {
+      params.set(key, filters[key]);
+    }
+  });
+  if (state.sort !== 'imported' || state.direction !== 'desc') {
+    params.set('sort', state.sort);
+    params.set('dir', state.direction);
+  }
+  if (state.perPage !== 50) {
+    params.set('perPage', state.perPage);
+  }
+  if (state.page > 1) {
+    params.set('page', state.page);
+  }
+
+  const search = params.toString();
+  return search ? `/records?${search}` : '/records';
+};
+
+// Adding, editing and deleting records by hand. The forms post the import
+// fields by key, so they're validated exactly like an imported row; every
+// change lands in the audit log.
+const RECORD_FORM_MAPPING = Object.fromEntries(IMPORT_FIELDS.map(field => [field.key, field.key]));
+const RECORD_HISTORY_ENTRIES = 20;
+
+const recordId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Form values from a stored record
+const recordFormValues = (record) => ({
+  ...Object.fromEntries(IMPORT_FIELDS.map(field => {
+    const value = record[RECORD_COLUMNS[field.key]];
+    return [field.key, value === null || value === undefined ? '' : String(value)];
+  })),
+  tags: record.tags.join(', '),
+  notes: record.notes || ''
+});
+
+// Tags (a comma-separated list) and notes from a record form, with the
+// problems in the same shape as parseRow's
+const recordLabels = (body) => {
+  const tags = parseTags(body.tags);
+  const notes = String(body.notes || '').trim();
+  const errors = tags
+    .filter(tag => tag.length > MAX_TAG_LENGTH)
+    .map(tag => ({ field: 'Tag', value: tag, message: `is longer than ${MAX_TAG_LENGTH} characters` }));
+  if (notes.length > MAX_NOTES_LENGTH) {
+    errors.push({ field: 'Notes', message: `can be at most ${MAX_NOTES_LENGTH} characters` });
+  }
+  return { tags, notes: notes || null, errors };
+};
+
+const renderRecordForm = (req, res, { record = null, values, errors = [], history = [] }) => {
+  res.status(errors.length > 0 ? 400 : 200).render('record-form', {
+    title: record ? `✏️ Edit Record #${record.id} - OSRS Trading Tracker` : '➕ New Record - OSRS Trading Tracker',
+    record: record,
+    fields: IMPORT_FIELDS.map(field => ({
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      required: field.required,
+      value: values[field.key] || ''
+    })),
+    tags: values.tags || '',
+    notes: values.notes || '',
+    statuses: STATUSES,
+    errors: errors,
+    history: history,
+    error: req.query.error
+  });
+};
+
+router.get('/records/new', requireRole('importer'), (req, res) => {
+  renderRecordForm(req, res, { values: { status: 'FINISHED' } });
+});
+
+router.post('/records/new', requireRole('importer'), async (req, res) => {
+  const { record, errors } = parseRow(req.body, RECORD_FORM_MAPPING);
+  const { tags, notes, errors: labelErrors } = recordLabels(req.body);
+  if (errors.length > 0 || labelErrors.length > 0) {
+    return renderRecordForm(req, res, { values: req.body, errors: [...errors, ...labelErrors] });
+  }
+
+  try {
+    const id = await db.createRecord(req.user.id, { ...record, tags, notes }, req.user);
+    if (id === null) {
+      return renderRecordForm(req, res, {
+        values: req.body,
+        errors: [{ field: 'Record', message: 'already exists: you have this item with the same first buy and last sell time' }]
+      });
+    }
+    res.redirect('/records?success=' + encodeURIComponent(`➕ Added record #${id} for ${record.item}.`));
+  } catch (error) {
+    console.error('Create record error:', error);
+    res.redirect('/records?error=' + encodeURIComponent('Failed to add record: ' + error.message));
+  }
+});
+
+router.get('/records/:id/edit', requireRole('importer'), async (req, res, next) => {
+  try {
+    const record = recordId(req) ? await db.getRecord(req.user.id, recordId(req)) : null;
+    if (!record) {
+      return res.redirect('/records?error=' + encodeURIComponent('That record no longer exists.'));
+    }
+
+    const { entries } = await db.getAuditLog({ entity: 'trading_record', entityId: record.id }, { perPage: RECORD_HISTORY_ENTRIES });
+    renderRecordForm(req, res, { record, values: recordFormValues(record), history: entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/records/:id/edit', requireRole('importer'), async (req, res) => {
+  const id = recordId(req);
+  const { record, errors } = parseRow(req.body, RECORD_FORM_MAPPING);
+  const { tags, notes, errors: labelErrors } = recordLabels(req.body);
+
+  try {
+    const existing = id ? await db.getRecord(req.user.id, id) : null;
+    if (!existing) {
+      return res.redirect('/records?error=' + encodeURIComponent('That record no longer exists.'));
+    }
+    if (errors.length > 0 || labelErrors.length > 0) {
+      return renderRecordForm(req, res, { record: existing, values: req.body, errors: [...errors, ...labelErrors] });
+    }
+
+    const changes = await db.updateRecord(req.user.id, id, { ...record, tags, notes }, req.user);
+    const changed = Object.keys(changes || {}).length;
+    res.redirect('/records?' + (changed > 0
+      ? 'success=' + encodeURIComponent(`✏️ Updated ${changed} fields on record #${id}.`)
+      : 'info=' + encodeURIComponent(`ℹ️ Record #${id} was already up to date.`)));
+  } catch (error) {
+    console.error('Update record error:', error);
+    res.redirect(`/records/${id}/edit?error=` + encodeURIComponent('Failed to update record: ' + error.message));
+  }
+});
+
+router.post('/records/:id/delete', requireRole('owner'), async (req, res) => {
   try {
-    const records = await db.getRecords(); // Remove status filtering
+    const deleted = recordId(req) ? await db.deleteRecord(req.user.id, recordId(req), req.user) : null;
+    if (!deleted) {
+      return res.redirect('/records?error=' + encodeURIComponent('That record no longer exists.'));
+    }
+    res.redirect('/records?success=' + encodeURIComponent(`🗑️ Deleted record #${deleted.id} (${deleted.item}).`));
+  } catch (error) {
+    console.error('Delete record error:', error);
+    res.redirect('/records?error=' + encodeURIComponent('Failed to delete record: ' + error.message));
+  }
+});
+
+// Add a tag to (action=add) or take it off (action=remove) the records
+// ticked in the records table, then go back to the page they were on
+router.post('/records/tags', requireRole('importer'), async (req, res) => {
+  const back = String(req.body.returnTo || '').startsWith('/records') ? req.body.returnTo : '/records';
+  const flash = (type, message) => res.redirect(back + (back.includes('?') ? '&' : '?') + type + '=' + encodeURIComponent(message));
+
+  const ids = [].concat(req.body.ids || []).map(Number).filter(id => Number.isInteger(id) && id > 0);
+  const [tag] = parseTags(req.body.tag);
+  const remove = req.body.action === 'remove';
+
+  if (ids.length === 0) {
+    return flash('error', 'Tick the records to tag first.');
+  }
+  if (!tag || tag.length > MAX_TAG_LENGTH) {
+    return flash('error', `Type a tag of at most ${MAX_TAG_LENGTH} characters.`);
+  }
+
+  try {
+    const changed = await db.tagRecords(req.user.id, ids, tag, req.user, { remove });
+    flash('success', remove ? `🏷️ Removed "${tag}" from ${changed} records.` : `🏷️ Tagged ${changed} records "${tag}".`);
+  } catch (error) {
+    console.error('Tag records error:', error);
+    flash('error', 'Failed to tag records: ' + error.message);
+  }
+});
+
+router.get('/records/:status?', requireRole('viewer'), accountFilter, async (req, res) => {
+  const state = recordsQuery(req);
+
+  try {
+    const result = await db.searchRecords(req.user.id, state.filters, state);
+
+    // Header links: clicking the current column flips its direction
+    const sortLinks = {};
+    Object.keys(RECORD_SORT_COLUMNS).forEach(column => {
+      const direction = state.sort === column && state.direction === 'desc' ? 'asc' : 'desc';
+      sortLinks[column] = recordsUrl({ ...state, sort: column, direction, page: 1 });
+    });
+
+    // A window of page links around the current page
+    const pageLinks = [];
+    const first = Math.max(1, result.page - 3);
+    const last = Math.min(result.pages, result.page + 3);
+    for (let number = first; number <= last; number++) {
+      pageLinks.push({ number, url: recordsUrl({ ...state, page: number }), active: number === result.page });
+    }
 
     res.render('records', {
       title: '📜 Trading Records - OSRS Trading Tracker',
-      records: records
+      records: result.records,
+      total: result.total,
+      filters: state.filters,
+      status: state.filters.status,
+      sort: state.sort,
+      direction: state.direction,
+      perPage: state.perPage,
+      pageSizes: RECORD_PAGE_SIZES,
+      sortLinks: sortLinks,
+      currentUrl: recordsUrl(state),
+      pagination: {
+        page: result.page,
+        pages: result.pages,
+        firstItem: result.total > 0 ? (result.page - 1) * result.perPage + 1 : 0,
+        lastItem: Math.min(result.page * result.perPage, result.total),
+        prevUrl: result.page > 1 ? recordsUrl({ ...state, page: result.page - 1 }) : null,
+        nextUrl: result.page < result.pages ? recordsUrl({ ...state, page: result.page + 1 }) : null,
+        pageLinks: pageLinks
+      },
+      success: req.query.success,
+      error: req.query.error,
+      info: req.query.info
     });
   } catch (error) {
     console.error('Records error:', error);
     res.render('records', {
       title: 'Trading Records',
       records: [],
+      total: 0,
+      filters: state.filters,
       error: 'Failed to load records'
     });
   }
 });
 
+// Export: the records view filters applied to one dataset (?dataset=records,
+// daily, timeline or items), or to every dataset at once (?dataset=all,
+// JSON and XLSX only), downloaded as ?format=csv, json or xlsx
+router.get('/export', requireRole('viewer'), accountFilter, async (req, res) => {
+  const { filters } = recordsQuery(req);
+  const format = FORMATS[req.query.format] ? req.query.format : 'csv';
+  const dataset = req.query.dataset === 'all' || DATASETS[req.query.dataset] ? req.query.dataset : 'records';
+
+  if (dataset === 'all' && format === 'csv') {
+    return res.status(400).send('A CSV file holds one dataset; choose JSON or XLSX to export them all.');
+  }
+
+  try {
+    const keys = dataset === 'all' ? Object.keys(DATASETS) : [dataset];
+    const datasets = await loadDatasets(db, req.user.id, keys, filters, req.reporting);
+
+    let body;
+    if (format === 'csv') {
+      body = toCsv(datasets[dataset]);
+    } else if (format === 'json') {
+      body = toJson(datasets);
+    } else {
+      body = await toXlsx(datasets);
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    res.attachment(`osrs-${dataset}-${today}.${FORMATS[format].extension}`);
+    res.type(FORMATS[format].contentType);
+    res.send(body);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).send('Failed to export data');
+  }
+});
+
+// First-run setup: create the initial owner account
+router.get('/setup', async (req, res, next) => {
+  try {
+    if ((await db.countUsers()) > 0) {
+      return res.redirect('/login');
+    }
+
+    res.render('setup', {
+      title: '🏰 First-Time Setup - OSRS Trading Tracker',
+      error: req.query.error
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/setup', async (req, res, next) => {
+  const { username, password, confirmPassword } = req.body;
+
+  const validationError = validateUser({ username, password, role: 'owner' }) ||
+    (password !== confirmPassword ? 'Passwords do not match.' : null);
+  if (validationError) {
+    return res.redirect('/setup?error=' + encodeURIComponent(validationError));
+  }
+
+  try {
+    const result = await db.createFirstUser({ username, passwordHash: await hashPassword(password), role: 'owner' });
+    if (result.changes === 0) {
+      // Someone else finished setup first
+      return res.redirect('/login');
+    }
+
+    // Records imported before accounts existed belong to the owner
+    await db.claimUnownedRecords(result.id);
+
+    res.redirect('/login?setup=success');
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Login routes
 router.get('/login', (req, res) => {
   const error = req.query.error;
@@ -153,31 +893,50 @@ router.get('/login', (req, res) => {
     errorMessage = 'You must be logged in to access that page.';
   }
 
+  let message = null;
+  if (req.query.logout === 'success') {
+    message = 'Successfully logged out. Safe travels!';
+  } else if (req.query.setup === 'success') {
+    message = 'Owner account created. Log in to begin your quest!';
+  }
+
   res.render('login', {
-    title: '🏰 Admin Login - OSRS Trading Tracker',
+    title: '🏰 Login - OSRS Trading Tracker',
     error: errorMessage,
-    logout: req.query.logout === 'success' ? 'Successfully logged out. Safe travels!' : null
+    logout: message
   });
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', async (req, res, next) => {
   const { username, password } = req.body;
 
-  // Simple hardcoded admin login (same as your Java version)
-  // In production, you'd want to hash this password
-  const adminUsername = 'admin';
-  const adminPassword = 'Nickywest133054!!'; // Same as your Java version
+  try {
+    const user = username ? await db.getUserByUsername(username) : null;
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      await audit({ id: null, username: String(username || '') }, 'login-failed', { details: `from ${req.ip}` });
+      return res.redirect('/login?error=invalid');
+    }
+
+    await db.recordLogin(user.id);
+    await audit(user, 'login', { details: `from ${req.ip}` });
+
+    // New session id on login to prevent session fixation
+    req.session.regenerate((err) => {
+      if (err) {
+        return next(err);
+      }
 
-  if (username === adminUsername && password === adminPassword) {
-    req.session.isAdmin = true;
-    res.redirect('/?success=' + encodeURIComponent('🛡️ Welcome back, Admin! You have full access to the realm.'));
-  } else {
-    res.redirect('/login?error=invalid');
+      req.session.userId = user.id;
+      res.redirect('/?success=' + encodeURIComponent(`🛡️ Welcome back, ${user.username}!`));
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Logout route
-router.get('/logout', requireAuth, (req, res) => {
+router.get('/logout', requireRole('viewer'), async (req, res) => {
+  await audit(req.user, 'logout');
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -186,10 +945,168 @@ router.get('/logout', requireAuth, (req, res) => {
   });
 });
 
-// Upload routes (admin only)
-router.get('/upload', requireAuth, (req, res) => {
+// Personal settings
+router.get('/settings', requireRole('viewer'), async (req, res) => {
+  try {
+    const settings = await db.getSettings(req.user.id);
+    const apiTokens = await db.listApiTokens(req.user.id);
+
+    // A new token is shown once, right after it's created
+    const newApiToken = req.session.newApiToken;
+    delete req.session.newApiToken;
+
+    res.render('settings', {
+      title: '⚙️ Settings - OSRS Trading Tracker',
+      settings: settings,
+      timeZones: TIME_ZONES,
+      apiTokens: apiTokens,
+      newApiToken: newApiToken,
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('Settings error:', error);
+    res.render('settings', {
+      title: 'Settings',
+      settings: {},
+      timeZones: TIME_ZONES,
+      apiTokens: [],
+      error: 'Failed to load settings'
+    });
+  }
+});
+
+// Reporting preferences: the time zone days are counted in, and whether a
+// flip's profit belongs to the day it was bought or sold
+router.post('/settings', requireRole('viewer'), async (req, res) => {
+  const timezone = String(req.body.timezone || '');
+  const profitAttribution = String(req.body.profitAttribution || '');
+
+  if (!isValidTimeZone(timezone)) {
+    return res.redirect('/settings?error=' + encodeURIComponent('Choose a time zone from the list.'));
+  }
+  if (!PROFIT_ATTRIBUTIONS.includes(profitAttribution)) {
+    return res.redirect('/settings?error=' + encodeURIComponent('Choose whether profit counts on the buy or the sell day.'));
+  }
+
+  try {
+    await db.updateSettings(req.user.id, { timezone, profitAttribution });
+    res.redirect('/settings?success=' + encodeURIComponent('⚙️ Settings saved.'));
+  } catch (error) {
+    console.error('Save settings error:', error);
+    res.redirect('/settings?error=' + encodeURIComponent('Failed to save settings: ' + error.message));
+  }
+});
+
+// API tokens for /api/v1, acting as the user who created them
+router.post('/settings/tokens', requireRole('viewer'), async (req, res) => {
+  const name = String(req.body.name || '').trim();
+
+  if (!name || name.length > 50) {
+    return res.redirect('/settings?error=' + encodeURIComponent('Token names must be 1-50 characters.'));
+  }
+
+  try {
+    const { token, tokenHash, prefix } = generateApiToken();
+    await db.createApiToken(req.user.id, { name, tokenHash, prefix });
+    req.session.newApiToken = { name, token };
+    res.redirect('/settings?success=' + encodeURIComponent(`🔑 Created API token "${name}". Copy it now: it won't be shown again.`));
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.redirect('/settings?error=' + encodeURIComponent('Failed to create API token: ' + error.message));
+  }
+});
+
+router.post('/settings/tokens/:id/revoke', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await db.deleteApiToken(req.user.id, req.params.id);
+    if (!result.changes) {
+      return res.redirect('/settings?error=' + encodeURIComponent('That API token no longer exists.'));
+    }
+    await audit(req.user, 'token-revoke', { entity: 'api_token', entityId: Number(req.params.id) });
+    res.redirect('/settings?success=' + encodeURIComponent('🗑️ API token revoked.'));
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.redirect('/settings?error=' + encodeURIComponent('Failed to revoke API token: ' + error.message));
+  }
+});
+
+// User management (owner only)
+router.get('/users', requireRole('owner'), async (req, res) => {
+  try {
+    const users = await db.listUsers();
+
+    res.render('users', {
+      title: '🛡️ Guild Members - OSRS Trading Tracker',
+      users: users,
+      roles: ROLES,
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('Users error:', error);
+    res.render('users', {
+      title: 'Guild Members',
+      users: [],
+      roles: ROLES,
+      error: 'Failed to load users'
+    });
+  }
+});
+
+router.post('/users', requireRole('owner'), async (req, res) => {
+  const { username, password, role } = req.body;
+
+  const validationError = validateUser({ username, password, role });
+  if (validationError) {
+    return res.redirect('/users?error=' + encodeURIComponent(validationError));
+  }
+
+  try {
+    if (await db.getUserByUsername(username)) {
+      return res.redirect('/users?error=' + encodeURIComponent(`The username ${username} is already taken.`));
+    }
+
+    await db.createUser({ username, passwordHash: await hashPassword(password), role });
+    res.redirect('/users?success=' + encodeURIComponent(`Added ${username} as ${role}.`));
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.redirect('/users?error=' + encodeURIComponent('Failed to create user: ' + error.message));
+  }
+});
+
+router.post('/users/:id/role', requireRole('owner'), async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.redirect('/users?error=' + encodeURIComponent(`Role must be one of: ${ROLES.join(', ')}.`));
+  }
+
+  try {
+    const user = await db.getUserById(req.params.id);
+    if (!user) {
+      return res.redirect('/users?error=' + encodeURIComponent('User not found.'));
+    }
+    if (user.id === req.user.id && role !== 'owner') {
+      return res.redirect('/users?error=' + encodeURIComponent('You cannot remove your own owner role.'));
+    }
+
+    await db.updateUserRole(user.id, role);
+    res.redirect('/users?success=' + encodeURIComponent(`${user.username} is now ${role}.`));
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.redirect('/users?error=' + encodeURIComponent('Failed to update role: ' + error.message));
+  }
+});
+
+// Upload routes (importers and owners)
+router.get('/upload', requireRole('importer'), (req, res) => {
+  const importers = listImporters();
+
   res.render('upload', {
     title: '📤 Import Trading Data - OSRS Trading Tracker',
+    formats: importers.map(importer => importer.name),
+    accept: importers.map(importer => importer.extensions.join(',')).join(','),
     success: req.query.success,
     error: req.query.error,
     warning: req.query.warning,
@@ -197,121 +1114,535 @@ router.get('/upload', requireAuth, (req, res) => {
   });
 });
 
-router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
-  if (!req.file) {
-    return res.redirect('/upload?error=' + encodeURIComponent('Please select a CSV file to upload.'));
+// Importing is two steps: the upload is parsed and previewed (with an
+// editable column mapping for CSVs), and only confirming the preview writes
+// any records. The uploaded file waits in uploads/ meanwhile, tracked in the
+// session along with the importer detected for it.
+const PREVIEW_ROWS = 20;
+const MAX_LISTED_ERRORS = 200;
+
+const getPendingImport = (req) => {
+  const pending = req.session.pendingImport;
+  // Uploads started before formats were detected are all CSVs
+  return pending && fs.existsSync(pending.path) ? { format: 'csv', ...pending } : null;
+};
+
+const discardPendingImport = (req) => {
+  const pending = getPendingImport(req);
+  if (pending) {
+    fs.unlinkSync(pending.path);
   }
+  delete req.session.pendingImport;
+};
 
-  try {
-    const results = await processCsvFile(req.file.path);
+// Preview the pending upload with the importer detected for it
+const previewPendingImport = (pending, options = {}) => {
+  const importer = getImporter(pending.format);
+  return previewRecords(importer, pending.path, { preview: PREVIEW_ROWS, fileName: pending.originalName, ...options });
+};
 
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
+router.post('/upload', requireRole('importer'), (req, res) => {
+  upload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.redirect('/upload?error=' + encodeURIComponent(uploadError.message));
+    }
+    if (!req.file) {
+      return res.redirect('/upload?error=' + encodeURIComponent('Please select a file to upload.'));
+    }
 
-    const { newRecords, duplicates, errors, totalInDb } = results;
+    try {
+      const importer = await detectImporter(req.file.path, req.file.originalname);
+      if (!importer) {
+        fs.unlinkSync(req.file.path);
+        return res.redirect('/upload?error=' + encodeURIComponent('Could not recognise the format of ' + req.file.originalname + '.'));
+      }
 
-    if (newRecords > 0) {
-      const message = `🎉 Import Complete! Added ${newRecords} new records. ` +
-                     `📊 Skipped ${duplicates} duplicates. ` +
-                     `🗃️ Total records: ${totalInDb}. ` +
-                     `${errors > 0 ? '⚠️ ' + errors + ' errors encountered.' : '✅ No errors!'}`;
-      res.redirect('/?success=' + encodeURIComponent(message));
-    } else if (duplicates > 0) {
-      const message = `⚠️ No new data imported. All ${duplicates} records were duplicates. ` +
-                     `Your database already contains this data! 🗃️ Total records: ${totalInDb}`;
-      res.redirect('/?warning=' + encodeURIComponent(message));
-    } else {
-      res.redirect('/upload?info=' + encodeURIComponent('ℹ️ No valid trading records found in the uploaded file. Please check the format.'));
+      discardPendingImport(req);
+      req.session.pendingImport = { path: req.file.path, originalName: req.file.originalname, format: importer.id };
+      res.redirect('/upload/preview');
+    } catch (error) {
+      console.error('Upload error:', error);
+      fs.unlinkSync(req.file.path);
+      res.redirect('/upload?error=' + encodeURIComponent('💥 Could not read file: ' + error.message));
     }
+  });
+});
+
+router.get('/upload/preview', requireRole('importer'), async (req, res) => {
+  const pending = getPendingImport(req);
+  if (!pending) {
+    return res.redirect('/upload?info=' + encodeURIComponent('ℹ️ No import in progress. Choose a file to start one.'));
+  }
+
+  try {
+    const importer = getImporter(pending.format);
+    const presets = importer.mappable ? await db.getImportPresets(req.user.id) : [];
+
+    // Mapping from the chosen preset, the edited form, or the importer's guess
+    const preset = req.query.preset ? presets.find(p => String(p.id) === req.query.preset) : null;
+    const parsed = await previewPendingImport(pending, { mapping: preset ? preset.mapping : req.query.mapping });
 
+    res.render('import-preview', {
+      title: '🔍 Import Preview - OSRS Trading Tracker',
+      fileName: pending.originalName,
+      formatName: importer.name,
+      mappable: importer.mappable,
+      lineLabel: importer.lineLabel,
+      headers: parsed.headers,
+      fields: IMPORT_FIELDS.map(field => ({
+        key: field.key,
+        label: field.label,
+        required: field.required,
+        header: parsed.mapping ? parsed.mapping[field.key] : null
+      })),
+      mapping: parsed.mapping,
+      presets: presets,
+      selectedPreset: preset ? preset.id : null,
+      missing: parsed.missing || [],
+      totalRows: parsed.totalRows,
+      validRows: parsed.validRows,
+      invalidRows: parsed.invalidRows,
+      previewRows: parsed.preview.map(row => ({
+        line: row.line,
+        values: IMPORT_FIELDS.map(field => row.record[field.key]),
+        valid: row.valid
+      })),
+      errors: parsed.errors.slice(0, MAX_LISTED_ERRORS),
+      hiddenErrors: Math.max(0, parsed.errorCount - MAX_LISTED_ERRORS),
+      success: req.query.success,
+      error: req.query.error
+    });
   } catch (error) {
-    console.error('CSV processing error:', error);
+    console.error('Import preview error:', error);
+    discardPendingImport(req);
+    res.redirect('/upload?error=' + encodeURIComponent('💥 Could not read file: ' + error.message));
+  }
+});
 
-    // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+// Where to send the browser once an import has finished, with its outcome
+const importOutcomeUrl = (results, invalidRows) => {
+  const { newRecords, updated, duplicates, tagged, totalInDb } = results;
+
+  if (newRecords > 0 || updated > 0) {
+    const message = `🎉 Import Complete! Added ${newRecords} new records. ` +
+                   `🔄 Updated ${updated} open flips. ` +
+                   `📊 Skipped ${duplicates} duplicates. ` +
+                   `${tagged > 0 ? '🏷️ Added ' + tagged + ' auto-tags. ' : ''}` +
+                   `🗃️ Total records: ${totalInDb}. ` +
+                   `${invalidRows > 0 ? '⚠️ ' + invalidRows + ' invalid rows skipped.' : '✅ No errors!'}`;
+    return '/?success=' + encodeURIComponent(message);
+  }
+  if (duplicates > 0) {
+    const message = `⚠️ No new data imported. All ${duplicates} records were duplicates. ` +
+                   `Your database already contains this data! 🗃️ Total records: ${totalInDb}`;
+    return '/?warning=' + encodeURIComponent(message);
+  }
+  return '/upload?info=' + encodeURIComponent('ℹ️ No valid trading records found in the uploaded file. Please check the format.');
+};
+
+// Where a job stands, for the progress page to poll
+const importJobStatus = (job) => ({
+  status: job.status,
+  fileName: job.fileName,
+  rows: job.rows,
+  percent: job.percent,
+  redirect: job.status === 'done'
+    ? job.result.redirect
+    : job.status === 'failed' ? '/upload?error=' + encodeURIComponent('💥 Error importing file: ' + job.error) : null
+});
+
+// Confirming starts the import in the background (lib/import-jobs): the
+// file is streamed into the database in chunks while the progress page
+// polls how far it has got. Where jobs can't run in the background the
+// import finishes first and the request goes straight to its outcome.
+router.post('/upload/confirm', requireRole('importer'), async (req, res) => {
+  const pending = getPendingImport(req);
+  if (!pending) {
+    return res.redirect('/upload?info=' + encodeURIComponent('ℹ️ No import in progress. Choose a file to start one.'));
+  }
+
+  try {
+    const source = await readRecords(getImporter(pending.format), pending.path, {
+      fileName: pending.originalName,
+      mapping: req.body.mapping || null
+    });
+
+    if (source.missing && source.missing.length > 0) {
+      return res.redirect('/upload/preview?error=' + encodeURIComponent('Map a column to: ' + source.missing.join(', ')));
     }
 
-    res.redirect('/upload?error=' + encodeURIComponent('💥 Error importing CSV file: ' + error.message));
-  }
-});
-
-// CSV Processing function
-async function processCsvFile(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    let newRecords = 0;
-    let duplicates = 0;
-    let errors = 0;
-
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => {
-        results.push(data);
-      })
-      .on('end', async () => {
-        try {
-          for (const row of results) {
-            try {
-              // Parse the CSV row (adjust field names to match your CSV)
-              const record = {
-                firstBuyTime: row['First buy time'] || row['first_buy_time'],
-                lastSellTime: row['Last sell time'] || row['last_sell_time'],
-                account: row['Account'] || row['account'],
-                item: row['Item'] || row['item'],
-                status: row['Status'] || row['status'],
-                bought: parseInt(row['Bought'] || row['bought']) || 0,
-                sold: parseInt(row['Sold'] || row['sold']) || 0,
-                avgBuyPrice: parseInt(row['Avg. buy price'] || row['avg_buy_price']) || 0,
-                avgSellPrice: parseInt(row['Avg. sell price'] || row['avg_sell_price']) || 0,
-                tax: parseInt(row['Tax'] || row['tax']) || 0,
-                profit: parseInt(row['Profit'] || row['profit']) || 0,
-                profitEa: parseInt(row['Profit ea.'] || row['profit_ea']) || 0
-              };
-
-              // Check for duplicates
-              const exists = await db.recordExists(record.firstBuyTime, record.lastSellTime, record.item);
-
-              if (!exists) {
-                const result = await db.insertRecord(record);
-                if (result.changes > 0) {
-                  newRecords++;
-                }
-              } else {
-                duplicates++;
-              }
-
-            } catch (rowError) {
-              console.error('Error processing row:', rowError);
-              errors++;
-            }
+    // The job owns the uploaded file from here on
+    delete req.session.pendingImport;
+    const user = req.user;
+
+    const job = await startImportJob(user.id, pending.originalName, async (job) => {
+      try {
+        const results = await db.importBatch(user.id, pending.originalName, source.records, source.invalidRows, {
+          onProgress: ({ rows }) => {
+            job.rows = rows;
+            job.percent = source.totalRows > 0 ? Math.min(99, Math.floor((rows * 100) / source.totalRows)) : 99;
           }
+        });
+        const invalidRows = source.invalidRows();
 
-          // Get total records count
-          const stats = await db.getDashboardStats();
-          const totalInDb = stats.totalRecords;
-
-          resolve({
-            newRecords,
-            duplicates,
-            errors,
-            totalInDb
-          });
-
-        } catch (error) {
-          reject(error);
-        }
-      })
-      .on('error', (error) => {
-        reject(error);
-      });
+        await audit(user, 'import', {
+          entity: 'import_batch',
+          entityId: results.batchId,
+          details: `${pending.originalName}: ${results.newRecords} new, ${results.updated} updated, ${results.duplicates} duplicates, ${invalidRows} invalid rows`
+        });
+        return { redirect: importOutcomeUrl(results, invalidRows) };
+      } catch (error) {
+        console.error('Import error:', error);
+        throw error;
+      } finally {
+        fs.promises.unlink(pending.path).catch(() => {});
+      }
+    });
+
+    res.redirect(job.status === 'running' ? `/upload/progress/${job.id}` : importJobStatus(job).redirect);
+  } catch (error) {
+    console.error('Import error:', error);
+    discardPendingImport(req);
+    res.redirect('/upload?error=' + encodeURIComponent('💥 Error importing file: ' + error.message));
+  }
+});
+
+router.get('/upload/progress/:id.json', requireRole('importer'), (req, res) => {
+  const job = getImportJob(req.user.id, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'No such import.' });
+  }
+  res.json(importJobStatus(job));
+});
+
+router.get('/upload/progress/:id', requireRole('importer'), (req, res) => {
+  const job = getImportJob(req.user.id, req.params.id);
+  if (!job) {
+    return res.redirect('/upload?info=' + encodeURIComponent('ℹ️ That import has finished. Its results are in the import history.'));
+  }
+
+  const status = importJobStatus(job);
+  if (status.redirect) {
+    return res.redirect(status.redirect);
+  }
+  res.render('import-progress', {
+    title: '⏳ Importing - OSRS Trading Tracker',
+    job: { id: job.id, ...status }
   });
-}
+});
+
+router.post('/upload/cancel', requireRole('importer'), (req, res) => {
+  discardPendingImport(req);
+  res.redirect('/upload?info=' + encodeURIComponent('ℹ️ Import cancelled. Nothing was saved.'));
+});
+
+// Column mapping presets
+router.post('/upload/presets', requireRole('importer'), async (req, res) => {
+  const pending = getPendingImport(req);
+  const name = String(req.body.name || '').trim();
+
+  if (!pending) {
+    return res.redirect('/upload');
+  }
+  if (!name || name.length > 50) {
+    return res.redirect('/upload/preview?error=' + encodeURIComponent('Preset names must be 1-50 characters.'));
+  }
+
+  try {
+    const parsed = await previewPendingImport(pending, { mapping: req.body.mapping });
+    if (!parsed.mapping) {
+      return res.redirect('/upload/preview?error=' + encodeURIComponent('This format has no columns to map.'));
+    }
+    const id = await db.saveImportPreset(req.user.id, name, parsed.mapping);
+    res.redirect(`/upload/preview?preset=${id}&success=` + encodeURIComponent(`💾 Saved preset "${name}".`));
+  } catch (error) {
+    console.error('Save preset error:', error);
+    res.redirect('/upload/preview?error=' + encodeURIComponent('Failed to save preset: ' + error.message));
+  }
+});
+
+router.post('/upload/presets/:id/delete', requireRole('importer'), async (req, res) => {
+  try {
+    const result = await db.deleteImportPreset(req.user.id, req.params.id);
+    if (result.changes) {
+      await audit(req.user, 'preset-delete', { entity: 'import_preset', entityId: Number(req.params.id) });
+    }
+    res.redirect('/upload/preview?success=' + encodeURIComponent('🗑️ Preset deleted.'));
+  } catch (error) {
+    console.error('Delete preset error:', error);
+    res.redirect('/upload/preview?error=' + encodeURIComponent('Failed to delete preset: ' + error.message));
+  }
+});
+
+// Import history: the user's batches, their records, and rollback. Owners
+// also see the watched folder and what it picked up.
+router.get('/imports', requireRole('importer'), async (req, res) => {
+  try {
+    const batches = await db.listImportBatches(req.user.id);
+    const watcher = req.app.get('importWatcher');
+
+    res.render('imports', {
+      title: '🗂️ Import History - OSRS Trading Tracker',
+      batches: batches,
+      watcher: watcher ? { dir: watcher.dir, username: watcher.username, intervalSeconds: watcher.intervalSeconds } : null,
+      // Runs link to their batch when it's one of the owner's own
+      watchRuns: hasRole(req.user, 'owner')
+        ? (await db.listWatchRuns()).map(run => ({ ...run, ownBatch: !!run.batch_id && run.user_id === req.user.id }))
+        : [],
+      success: req.query.success,
+      error: req.query.error,
+      info: req.query.info
+    });
+  } catch (error) {
+    console.error('Import history error:', error);
+    res.render('imports', {
+      title: 'Import History',
+      batches: [],
+      watcher: null,
+      watchRuns: [],
+      error: 'Failed to load import history'
+    });
+  }
+});
+
+router.get('/imports/:id', requireRole('importer'), async (req, res, next) => {
+  try {
+    const batch = await db.getImportBatch(req.user.id, req.params.id);
+    if (!batch) {
+      return res.redirect('/imports?error=' + encodeURIComponent('That import no longer exists.'));
+    }
+
+    res.render('import-batch', {
+      title: `🗂️ Import #${batch.id} - OSRS Trading Tracker`,
+      batch: batch,
+      records: await db.getBatchRecords(req.user.id, batch.id),
+      updates: await db.getBatchUpdates(batch.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/imports/:id/rollback', requireRole('importer'), async (req, res) => {
+  try {
+    if (!(await db.getImportBatch(req.user.id, req.params.id))) {
+      return res.redirect('/imports?error=' + encodeURIComponent('That import no longer exists.'));
+    }
+    const result = await db.rollbackImportBatch(req.user.id, req.params.id);
+
+    if (result === null) {
+      return res.redirect('/imports?info=' + encodeURIComponent(`ℹ️ Import #${req.params.id} was already rolled back.`));
+    }
+    await audit(req.user, 'import-rollback', {
+      entity: 'import_batch',
+      entityId: Number(req.params.id),
+      details: `removed ${result.removed} records, restored ${result.restored} open flips`
+    });
+    res.redirect('/imports?success=' + encodeURIComponent(
+      `↩️ Rolled back import #${req.params.id}: removed ${result.removed} records, restored ${result.restored} open flips.`
+    ));
+  } catch (error) {
+    console.error('Rollback error:', error);
+    res.redirect('/imports?error=' + encodeURIComponent('Failed to roll back import: ' + error.message));
+  }
+});
+
+// Data integrity: the owner's records checked against lib/integrity's rules,
+// grouped by rule, with a bulk fix for the rules that have a safe one
+const MAX_LISTED_VIOLATIONS = 100;
+
+router.get('/integrity', requireRole('owner'), async (req, res) => {
+  try {
+    const report = checkIntegrity(await db.getIntegrityRecords(req.user.id));
+    await db.saveIntegrityCheck(req.user.id, report);
+
+    res.render('integrity', {
+      title: '🩺 Data Integrity - OSRS Trading Tracker',
+      checked: report.checked,
+      flagged: report.flagged,
+      rules: report.rules.map(rule => ({
+        ...rule,
+        count: rule.violations.length,
+        violations: rule.violations.slice(0, MAX_LISTED_VIOLATIONS),
+        hidden: Math.max(0, rule.violations.length - MAX_LISTED_VIOLATIONS)
+      })),
+      success: req.query.success,
+      error: req.query.error,
+      info: req.query.info
+    });
+  } catch (error) {
+    console.error('Integrity check error:', error);
+    res.render('integrity', {
+      title: 'Data Integrity',
+      checked: 0,
+      flagged: 0,
+      rules: [],
+      error: 'Failed to check records'
+    });
+  }
+});
+
+router.post('/integrity/fix', requireRole('owner'), async (req, res) => {
+  const rule = getIntegrityRule(req.body.rule);
+  if (!rule || !rule.fix) {
+    return res.redirect('/integrity?error=' + encodeURIComponent('That rule has no safe fix.'));
+  }
+
+  try {
+    const fixes = integrityFixes(await db.getIntegrityRecords(req.user.id), rule.id);
+    if (fixes.length === 0) {
+      return res.redirect('/integrity?info=' + encodeURIComponent(`ℹ️ Nothing to fix for "${rule.name}".`));
+    }
+
+    const changed = await db.applyRecordFixes(req.user.id, fixes, req.user);
+    await audit(req.user, 'integrity-fix', { details: `${rule.id}: ${changed} records` });
+    res.redirect('/integrity?success=' + encodeURIComponent(`🔧 Fixed ${changed} records for "${rule.name}".`));
+  } catch (error) {
+    console.error('Integrity fix error:', error);
+    res.redirect('/integrity?error=' + encodeURIComponent('Failed to fix records: ' + error.message));
+  }
+});
+
+// Tags: strategies compared side by side for the selected account, and the
+// auto-tag rules every import runs over the records it touches
+router.get('/tags', requireRole('viewer'), accountFilter, async (req, res) => {
+  try {
+    const [comparison, rules] = await Promise.all([
+      db.getTagComparison(req.user.id, { account: req.filters.account }),
+      db.listTagRules(req.user.id)
+    ]);
+
+    res.render('tags', {
+      title: '🏷️ Tags - OSRS Trading Tracker',
+      comparison: comparison,
+      rules: rules.map(rule => ({ ...rule, description: describeTagRule(rule) })),
+      fields: TAG_RULE_FIELDS.map(({ id, label, type }) => ({ id, label, type })),
+      operators: TAG_RULE_OPERATORS.map(({ id, label, type }) => ({ id, label, type })),
+      success: req.query.success,
+      error: req.query.error,
+      info: req.query.info
+    });
+  } catch (error) {
+    console.error('Tags error:', error);
+    res.render('tags', {
+      title: 'Tags',
+      comparison: [],
+      rules: [],
+      fields: [],
+      operators: [],
+      error: 'Failed to load tags'
+    });
+  }
+});
+
+router.post('/tags/rules', requireRole('importer'), async (req, res) => {
+  const rule = {
+    tag: parseTags(req.body.tag)[0] || '',
+    field: String(req.body.field || ''),
+    operator: String(req.body.operator || ''),
+    value: String(req.body.value || '').trim()
+  };
+
+  const problem = validateTagRule(rule);
+  if (problem) {
+    return res.redirect('/tags?error=' + encodeURIComponent(problem));
+  }
+
+  try {
+    const id = await db.createTagRule(req.user.id, rule);
+    await audit(req.user, 'tag-rule-create', { entity: 'tag_rule', entityId: id, details: `${describeTagRule(rule)} → ${rule.tag}` });
+
+    let message = `🏷️ Imports will now tag ${describeTagRule(rule)} as "${rule.tag}".`;
+    if (req.body.apply) {
+      const added = await db.transaction(tx => tx.applyTagRules(req.user.id));
+      message += ` Added ${added} tags to existing records.`;
+    }
+    res.redirect('/tags?success=' + encodeURIComponent(message));
+  } catch (error) {
+    console.error('Create tag rule error:', error);
+    res.redirect('/tags?error=' + encodeURIComponent('Failed to save rule: ' + error.message));
+  }
+});
+
+router.post('/tags/rules/apply', requireRole('importer'), async (req, res) => {
+  try {
+    const added = await db.transaction(tx => tx.applyTagRules(req.user.id));
+    res.redirect('/tags?success=' + encodeURIComponent(`🏷️ Ran the rules over every record: added ${added} tags.`));
+  } catch (error) {
+    console.error('Apply tag rules error:', error);
+    res.redirect('/tags?error=' + encodeURIComponent('Failed to run rules: ' + error.message));
+  }
+});
+
+router.post('/tags/rules/:id/delete', requireRole('importer'), async (req, res) => {
+  try {
+    const result = await db.deleteTagRule(req.user.id, req.params.id);
+    if (result.changes) {
+      await audit(req.user, 'tag-rule-delete', { entity: 'tag_rule', entityId: Number(req.params.id) });
+    }
+    res.redirect('/tags?success=' + encodeURIComponent('🗑️ Rule deleted. Tags it already added stay put.'));
+  } catch (error) {
+    console.error('Delete tag rule error:', error);
+    res.redirect('/tags?error=' + encodeURIComponent('Failed to delete rule: ' + error.message));
+  }
+});
+
+// Audit log (owners), filtered by ?action=, ?user=, ?from= and ?to=
+const AUDIT_PAGE_SIZE = 50;
+
+router.get('/audit', requireRole('owner'), async (req, res) => {
+  const filters = {
+    action: AUDIT_ACTIONS.includes(req.query.action) ? req.query.action : null,
+    username: req.query.user ? String(req.query.user).trim() : null,
+    from: DATE_PATTERN.test(req.query.from || '') ? req.query.from : null,
+    to: DATE_PATTERN.test(req.query.to || '') ? req.query.to : null
+  };
+
+  // Same filters on another page
+  const pageUrl = (page) => {
+    const params = new URLSearchParams();
+    if (filters.action) params.set('action', filters.action);
+    if (filters.username) params.set('user', filters.username);
+    if (filters.from) params.set('from', filters.from);
+    if (filters.to) params.set('to', filters.to);
+    params.set('page', page);
+    return '/audit?' + params.toString();
+  };
+
+  try {
+    const log = await db.getAuditLog(filters, { page: parseInt(req.query.page, 10) || 1, perPage: AUDIT_PAGE_SIZE });
+
+    res.render('audit', {
+      title: '🕵️ Audit Log - OSRS Trading Tracker',
+      entries: log.entries,
+      total: log.total,
+      filters: filters,
+      actions: AUDIT_ACTIONS,
+      pagination: {
+        page: log.page,
+        pages: log.pages,
+        prevUrl: log.page > 1 ? pageUrl(log.page - 1) : null,
+        nextUrl: log.page < log.pages ? pageUrl(log.page + 1) : null
+      }
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.render('audit', {
+      title: 'Audit Log',
+      entries: [],
+      total: 0,
+      filters: filters,
+      actions: AUDIT_ACTIONS,
+      pagination: { page: 1, pages: 1 },
+      error: 'Failed to load the audit log'
+    });
+  }
+});
 
 // API route for dashboard stats (if needed)
-router.get('/api/stats', async (req, res) => {
+router.get('/api/stats', requireRole('viewer'), async (req, res) => {
   try {
-    const stats = await db.getDashboardStats();
+    const stats = await db.getDashboardStats(req.user.id);
     res.json(stats);
   } catch (error) {
     console.error('API stats error:', error);
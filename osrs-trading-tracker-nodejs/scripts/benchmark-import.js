@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// Time a CSV import the old way and the current way against a generated
+// export, each into a fresh SQLite database file.
+//
+//   npm run benchmark:import                   20,000 rows
+//   npm run benchmark:import -- --rows 100000
+//
+// The old way read the whole file into memory, then ran recordExists() and
+// insertRecord() for each row outside any transaction and counted the result
+// with getDashboardStats(). The current way streams the file through
+// importBatch(). Exits with status 1 when the current way isn't at least
+// TARGET_SPEEDUP times faster.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../database/db');
+const { readCsv, guessMapping, parseRows } = require('../lib/csv-import');
+const { getImporter, readRecords } = require('../lib/importers');
+
+const DEFAULT_ROWS = 20000;
+const TARGET_SPEEDUP = 10;
+
+const ITEMS = ['Dragon bones', 'Runite bolts', 'Cannonball', 'Shark', 'Rune platebody', 'Coal', 'Yew logs', 'Zulrah\'s scales'];
+const ACCOUNTS = ['Ormeth', 'Zezima', 'Alt'];
+
+// A Flipping Copilot style export of rows flips, one a minute, a few still open
+const writeFixture = (filePath, rows) => new Promise((resolve, reject) => {
+  const out = fs.createWriteStream(filePath);
+  const start = Date.parse('2024-01-01T00:00:00Z');
+  const time = (ms) => new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  out.write('First buy time,Last sell time,Account,Item,Status,Bought,Sold,Avg. buy price,Avg. sell price,Tax,Profit,Profit ea.\n');
+  for (let i = 0; i < rows; i++) {
+    const bought = 100 + (i % 900);
+    const buyPrice = 1000 + (i % 5000);
+    const open = i % 20 === 0;
+    const sold = open ? Math.floor(bought / 2) : bought;
+    const sellPrice = buyPrice + 50;
+    const tax = Math.floor(sellPrice * 0.02) * sold;
+    const profit = sold * (sellPrice - buyPrice) - tax;
+    out.write([
+      time(start + i * 60000),
+      open ? '' : time(start + i * 60000 + 3600000),
+      ACCOUNTS[i % ACCOUNTS.length],
+      `"${ITEMS[i % ITEMS.length]}"`,
+      open ? 'SELLING' : 'FINISHED',
+      bought,
+      sold,
+      buyPrice,
+      sellPrice,
+      tax,
+      profit,
+      sold > 0 ? Math.round(profit / sold) : 0
+    ].join(',') + '\n');
+  }
+  out.end(resolve);
+  out.on('error', reject);
+});
+
+const freshDatabase = async (dir, name) => {
+  const db = new Database({ filename: path.join(dir, `${name}.sqlite`) });
+  await db.init();
+  const { id } = await db.createUser({ username: 'benchmark', passwordHash: 'x', role: 'owner' });
+  return { db, userId: id };
+};
+
+const oldImport = async (db, userId, filePath) => {
+  const { headers, rows } = await readCsv(filePath);
+  const { records } = parseRows(rows, guessMapping(headers));
+  for (const { record } of records) {
+    if (!(await db.recordExists(userId, record.firstBuyTime, record.lastSellTime, record.item))) {
+      await db.insertRecord(userId, record);
+    }
+  }
+  return (await db.getDashboardStats(userId)).totalRecords;
+};
+
+const newImport = async (db, userId, filePath) => {
+  const source = await readRecords(getImporter('csv'), filePath, {});
+  const result = await db.importBatch(userId, 'benchmark.csv', source.records, source.invalidRows);
+  return result.totalInDb;
+};
+
+const time = async (label, rows, run) => {
+  const started = process.hrtime.bigint();
+  const total = await run();
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  console.log(`⏱️  ${label}: ${total.toLocaleString('en-US')} records in ${seconds.toFixed(2)}s (${Math.round(rows / seconds).toLocaleString('en-US')} rows/s)`);
+  return seconds;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const rowsArg = args.indexOf('--rows');
+  const rows = rowsArg >= 0 ? parseInt(args[rowsArg + 1], 10) : DEFAULT_ROWS;
+  if (!Number.isInteger(rows) || rows <= 0) {
+    throw new Error('--rows must be a positive whole number.');
+  }
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'osrs-benchmark-'));
+  const log = console.log;
+  try {
+    const fixture = path.join(dir, 'export.csv');
+    await writeFixture(fixture, rows);
+    log(`📄 Generated ${rows.toLocaleString('en-US')} rows (${(fs.statSync(fixture).size / 1048576).toFixed(1)} MB)`);
+
+    const results = {};
+    for (const [name, run] of [['old', oldImport], ['new', newImport]]) {
+      // Keep the databases' connection chatter out of the timings
+      console.log = () => {};
+      const { db, userId } = await freshDatabase(dir, name);
+      console.log = log;
+      results[name] = await time(name === 'old' ? 'Row by row  ' : 'Streamed    ', rows, () => run(db, userId, fixture));
+      console.log = () => {};
+      await db.close();
+      console.log = log;
+    }
+
+    const speedup = results.old / results.new;
+    log(`${speedup >= TARGET_SPEEDUP ? '✅' : '❌'} ${speedup.toFixed(1)}x faster (target ${TARGET_SPEEDUP}x)`);
+    if (speedup < TARGET_SPEEDUP) {
+      process.exitCode = 1;
+    }
+  } finally {
+    console.log = log;
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ ' + error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Check every user's trading records against the integrity rules.
+//
+//   npm run integrity                 report violations per user and rule
+//   npm run integrity -- --fix        also apply the safe fixes
+//
+// Exits with status 1 when any record breaks a rule that wasn't fixed, so it
+// can run as a scheduled job. Each user's dashboard shows the latest result.
+// Uses the same database as the server (POSTGRES_URL or the local SQLite
+// file). Fixes are audited as made by SCRIPT_ACTOR, a name no user can have.
+
+const db = require('../database');
+const { checkIntegrity, integrityFixes } = require('../lib/integrity');
+
+const SCRIPT_ACTOR = { id: null, username: 'integrity script' };
+
+const checkUser = async (user, fix) => {
+  let records = await db.getIntegrityRecords(user.id);
+  let report = checkIntegrity(records);
+
+  if (fix) {
+    for (const rule of report.rules.filter(rule => rule.fixable && rule.violations.length > 0)) {
+      const changed = await db.applyRecordFixes(user.id, integrityFixes(records, rule.id), SCRIPT_ACTOR);
+      await db.logAudit(SCRIPT_ACTOR, 'integrity-fix', { details: `${rule.id}: ${changed} records of ${user.username}` });
+      console.log(`🔧 ${user.username}: fixed ${changed} records for ${rule.id}`);
+      records = await db.getIntegrityRecords(user.id);
+    }
+    report = checkIntegrity(records);
+  }
+  await db.saveIntegrityCheck(user.id, report);
+
+  console.log(`${report.flagged === 0 ? '✅' : '⚠️ '} ${user.username}: ${report.flagged} of ${report.checked} records break a rule`);
+  report.rules
+    .filter(rule => rule.violations.length > 0)
+    .forEach(rule => console.log(`   ${rule.id}\t${rule.violations.length}${rule.fixable ? '\t(fix with --fix)' : ''}`));
+
+  return report.flagged;
+};
+
+const main = async () => {
+  const fix = process.argv.slice(2).includes('--fix');
+
+  await db.init();
+  try {
+    let flagged = 0;
+    for (const user of await db.listUsers()) {
+      flagged += await checkUser(user, fix);
+    }
+    if (flagged > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ ' + error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Manage tracker accounts from the command line.
+//
+//   npm run users -- list
+//   npm run users -- create <username> <viewer|importer|owner>
+//   npm run users -- passwd <username>      prompt for a new password
+//   npm run users -- reset <username>       set a random temporary password
+//
+// Uses the same database as the server (POSTGRES_URL or the local SQLite file).
+
+const crypto = require('crypto');
+const readline = require('readline');
+const db = require('../database');
+const { ROLES, hashPassword, validateAccount, validatePassword } = require('../lib/auth');
+
+const usage = () => {
+  console.log('Usage: npm run users -- <list | create <username> <role> | passwd <username> | reset <username>>');
+  console.log(`Roles: ${ROLES.join(', ')}`);
+};
+
+// Read a line from the terminal without echoing what is typed
+const promptHidden = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl._writeToOutput = (text) => {
+    if (text.includes(question)) {
+      rl.output.write(text);
+    }
+  };
+  rl.question(question, (answer) => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  });
+});
+
+const promptNewPassword = async () => {
+  const password = await promptHidden('New password: ');
+  const confirm = await promptHidden('Repeat password: ');
+  if (password !== confirm) {
+    throw new Error('Passwords do not match.');
+  }
+  const error = validatePassword(password);
+  if (error) {
+    throw new Error(error);
+  }
+  return password;
+};
+
+const findUser = async (username) => {
+  const user = username ? await db.getUserByUsername(username) : null;
+  if (!user) {
+    throw new Error(`No user named "${username}".`);
+  }
+  return user;
+};
+
+const commands = {
+  async list() {
+    const users = await db.listUsers();
+    if (users.length === 0) {
+      console.log('No users yet. Visit /setup or run: npm run users -- create <username> owner');
+    }
+    users.forEach(user => console.log(`${user.username}\t${user.role}`));
+  },
+
+  async create(username, role) {
+    if (!username || !role) {
+      throw new Error('create needs a username and a role.');
+    }
+    // Check everything but the password before asking for it
+    const error = validateAccount({ username, role });
+    if (error) {
+      throw new Error(error);
+    }
+    if (await db.getUserByUsername(username)) {
+      throw new Error(`The username ${username} is already taken.`);
+    }
+
+    const password = await promptNewPassword();
+    await db.createUser({ username, passwordHash: await hashPassword(password), role });
+    console.log(`✅ Created ${username} (${role})`);
+  },
+
+  async passwd(username) {
+    const user = await findUser(username);
+    const password = await promptNewPassword();
+    await db.updateUserPassword(user.id, await hashPassword(password));
+    console.log(`✅ Password changed for ${user.username}`);
+  },
+
+  async reset(username) {
+    const user = await findUser(username);
+    const password = crypto.randomBytes(12).toString('base64url');
+    await db.updateUserPassword(user.id, await hashPassword(password));
+    console.log(`✅ Temporary password for ${user.username}: ${password}`);
+    console.log('   Share it privately and have them change it with: npm run users -- passwd ' + user.username);
+  }
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+
+  await db.init();
+  try {
+    await commands[command](...args);
+  } finally {
+    await db.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ ' + error.message);
+  process.exitCode = 1;
+});
@@ -1,22 +1,19 @@
 const express = require('express');
 const path = require('path');
 const session = require('express-session');
-const SQLiteStore = require('connect-sqlite3')(session);
 const { engine } = require('express-handlebars');
-const multer = require('multer');
+const { DEFAULT_TIME_ZONE, toDate } = require('./lib/timezone');
+const { watchOptions, ImportWatcher } = require('./lib/import-watcher');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Database setup - choose based on environment
-let db;
-if (process.env.POSTGRES_URL) {
-  // Use Postgres for production (Vercel)
-  db = require('./database/postgres-db');
-} else {
-  // Use SQLite for local development
-  db = require('./database/db');
-}
+// Database setup - backend is chosen from the environment (see database/index.js)
+const db = require('./database');
+
+// JSON API - token authenticated, so it comes before the session and body
+// parsers (its import endpoint reads the raw request body itself)
+app.use('/api/v1', require('./routes/api'));
 
 // Middleware setup
 app.use(express.urlencoded({ extended: true }));
@@ -91,6 +88,7 @@ app.engine('hbs', engine({
       }
       return Math.round(num).toString();
     },
+    itemUrl: (item) => '/items/' + encodeURIComponent(item),
     eq: (a, b) => a === b,
     gt: (a, b) => a > b,
     lt: (a, b) => a < b,
@@ -110,60 +108,44 @@ app.engine('hbs', engine({
         default: return a;
       }
     },
-    formatDate: (date) => {
+    // Dates and times are shown in the user's reporting time zone
+    // (res.locals.timezone). Plain YYYY-MM-DD days are already days of
+    // that zone, so they're shown as they are.
+    formatDate: (date, options) => {
       if (!date) return '';
-      // Add time to avoid timezone issues
-      const dateObj = new Date(date + 'T12:00:00');
-      return dateObj.toLocaleDateString('en-US', {
+      const isDay = /^\d{4}-\d{2}-\d{2}$/.test(date);
+      return toDate(isDay ? date + 'T00:00:00Z' : date).toLocaleDateString('en-US', {
         month: '2-digit',
         day: '2-digit',
-        year: 'numeric'
+        year: 'numeric',
+        timeZone: isDay ? 'UTC' : options.data.root.timezone || DEFAULT_TIME_ZONE
       });
     },
-    formatDateTime: (date) => {
+    formatDateTime: (date, options) => {
       if (!date) return '';
-      const dateObj = new Date(date);
-      return dateObj.toLocaleDateString('en-US', {
+      return toDate(date).toLocaleDateString('en-US', {
         month: '2-digit',
         day: '2-digit',
         hour: '2-digit',
-        minute: '2-digit'
+        minute: '2-digit',
+        timeZone: options.data.root.timezone || DEFAULT_TIME_ZONE
       });
     },
     formatDecimal: (num, decimals) => {
       if (!num && num !== 0) return '0';
       return parseFloat(num).toFixed(decimals || 1);
     },
+    // Durations past two days read better in days
+    formatHours: (hours) => {
+      if (!hours && hours !== 0) return '';
+      return hours < 48 ? hours.toFixed(1) + ' h' : (hours / 24).toFixed(1) + ' d';
+    },
   }
 }));
 
 app.set('view engine', 'hbs');
 app.set('views', path.join(__dirname, 'views'));
 
-// File upload configuration
-const upload = multer({
-  dest: 'uploads/',
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only CSV files are allowed'));
-    }
-  },
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  }
-});
-
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-  if (req.session && req.session.isAdmin) {
-    return next();
-  } else {
-    return res.redirect('/login');
-  }
-};
-
 // Routes (we'll add these in the next steps)
 const routes = require('./routes');
 app.use('/', routes);
@@ -185,8 +167,16 @@ app.use((req, res) => {
   });
 });
 
-// Initialize database and start server
+// Initialize database and start server, and the watched-folder importer
+// when it's configured
 db.init().then(() => {
+  const options = watchOptions();
+  if (options) {
+    const watcher = new ImportWatcher(db, options);
+    app.set('importWatcher', watcher);
+    watcher.start();
+  }
+
   app.listen(PORT, () => {
     console.log(`🏰 OSRS Trading Tracker server running on port ${PORT}`);
     console.log(`📊 Visit: http://localhost:${PORT}`);
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { analyzeReturns } = require('../lib/analytics');
+
+// Daily returns as getDailyReturns() gives them, newest first
+const returns = (profits) => Object.entries(profits)
+  .map(([date, dailyProfit]) => ({ date, dailyProfit }))
+  .reverse();
+
+describe('analyzeReturns', () => {
+  it('handles no trading days', () => {
+    const analytics = analyzeReturns([]);
+    assert.deepStrictEqual(analytics.equityCurve, []);
+    assert.strictEqual(analytics.maxDrawdown, null);
+    assert.strictEqual(analytics.longestDrawdown, null);
+    assert.strictEqual(analytics.bestDay, null);
+    assert.strictEqual(analytics.consistency, null);
+  });
+
+  it('works out drawdowns, streaks and spread oldest day first', () => {
+    const analytics = analyzeReturns(returns({
+      '2025-08-01': 100,
+      '2025-08-02': 200,
+      '2025-08-03': -150,
+      '2025-08-04': -50,
+      '2025-08-06': 250,
+      '2025-08-07': 0,
+      '2025-08-08': -100
+    }));
+
+    assert.deepStrictEqual(analytics.equityCurve.map(day => [day.date, day.cumulative, day.drawdown]), [
+      ['2025-08-01', 100, 0],
+      ['2025-08-02', 300, 0],
+      ['2025-08-03', 150, -150],
+      ['2025-08-04', 100, -200],
+      ['2025-08-06', 350, 0],
+      ['2025-08-07', 350, 0],
+      ['2025-08-08', 250, -100]
+    ]);
+
+    assert.deepStrictEqual(analytics.maxDrawdown, { amount: 200, peakDate: '2025-08-02', troughDate: '2025-08-04' });
+    assert.deepStrictEqual(analytics.longestDrawdown, { days: 4, start: '2025-08-02', end: '2025-08-06', recovered: true });
+    assert.deepStrictEqual(analytics.longestWinStreak, { days: 2, start: '2025-08-01', end: '2025-08-02' });
+    assert.deepStrictEqual(analytics.longestLosingStreak, { days: 2, start: '2025-08-03', end: '2025-08-04' });
+    assert.deepStrictEqual(analytics.bestDay, { date: '2025-08-06', profit: 250 });
+    assert.deepStrictEqual(analytics.worstDay, { date: '2025-08-03', profit: -150 });
+
+    assert.strictEqual(analytics.totalProfit, 250);
+    assert.strictEqual(Math.round(analytics.stdDev), 152);
+    assert.strictEqual(Math.round(analytics.consistency * 1000) / 1000, 0.235);
+  });
+
+  it('reports a drawdown that has not recovered yet', () => {
+    const analytics = analyzeReturns(returns({ '2025-08-01': -300, '2025-08-05': 100 }));
+    assert.deepStrictEqual(analytics.maxDrawdown, { amount: 300, peakDate: '2025-08-01', troughDate: '2025-08-01' });
+    assert.deepStrictEqual(analytics.longestDrawdown, { days: 4, start: '2025-08-01', end: '2025-08-05', recovered: false });
+  });
+});
@@ -0,0 +1,129 @@
+// The API runs against the shared database instance (database/index.js), so
+// point it at an in-memory SQLite database before anything loads it
+delete process.env.POSTGRES_URL;
+process.env.SQLITE_FILE = ':memory:';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const { flip } = require('./backends');
+const { generateApiToken } = require('../lib/auth');
+const db = require('../database');
+const apiRouter = require('../routes/api');
+
+describe('JSON API', () => {
+  let server;
+  let baseUrl;
+  const tokens = {};
+  const users = {};
+
+  const api = (urlPath, { token, ...options } = {}) => fetch(baseUrl + urlPath, {
+    ...options,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...options.headers }
+  });
+
+  const expectError = async (response, status, code) => {
+    assert.strictEqual(response.status, status);
+    const body = await response.json();
+    assert.strictEqual(body.error.code, code);
+    assert.strictEqual(typeof body.error.message, 'string');
+    return body.error;
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    await db.init();
+
+    for (const role of ['owner', 'importer', 'viewer']) {
+      const { id } = await db.createUser({ username: role, passwordHash: 'hash', role });
+      const { token, tokenHash, prefix } = generateApiToken();
+      await db.createApiToken(id, { name: 'test', tokenHash, prefix });
+      users[role] = id;
+      tokens[role] = token;
+    }
+
+    const app = express();
+    app.use('/api/v1', apiRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  it('refuses requests without a valid token', async () => {
+    await expectError(await api('/stats'), 401, 'unauthorized');
+    await expectError(await api('/stats', { headers: { Authorization: 'Basic dXNlcjpwYXNz' } }), 401, 'unauthorized');
+    await expectError(await api('/stats', { token: 'osrs_not-a-real-token' }), 401, 'invalid_token');
+  });
+
+  it('acts with the token user\'s role', async () => {
+    const response = await api('/stats', { token: tokens.viewer });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).data.totalRecords, 0);
+
+    const error = await expectError(await api('/import', { token: tokens.viewer, method: 'POST', body: 'x' }), 403, 'forbidden');
+    assert.match(error.message, /importer role/);
+  });
+
+  it('answers unknown endpoints with a JSON 404', async () => {
+    const error = await expectError(await api('/nothing-here', { token: tokens.viewer }), 404, 'not_found');
+    assert.match(error.message, /GET \/api\/v1\/nothing-here/);
+  });
+
+  it('pages records with the records view parameters', async () => {
+    for (let i = 0; i < 30; i++) {
+      await db.insertRecord(users.owner, flip({ firstBuyTime: new Date(Date.UTC(2025, 7, 1, i)).toISOString(), profit: i }));
+    }
+
+    const response = await api('/records?sort=profit&dir=asc&perPage=25&page=2', { token: tokens.owner });
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.deepStrictEqual([body.page, body.pages, body.perPage, body.total], [2, 2, 25, 30]);
+    assert.deepStrictEqual(body.data.map(record => record.profit), [25, 26, 27, 28, 29]);
+
+    // Each token only sees its own user's records
+    const other = await (await api('/records', { token: tokens.viewer })).json();
+    assert.deepStrictEqual([other.total, other.data], [0, []]);
+  });
+
+  it('imports a file sent as the body and audits it', async () => {
+    const response = await api('/import?fileName=export.csv', {
+      token: tokens.importer,
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: fs.readFileSync(path.join(__dirname, 'fixtures', 'copilot-export.csv'))
+    });
+    assert.strictEqual(response.status, 201);
+    const { data } = await response.json();
+    assert.deepStrictEqual(
+      [data.format, data.newRecords, data.updated, data.duplicates, data.invalid, data.totalRecords],
+      ['csv', 2, 0, 0, 2, 2]
+    );
+    assert.strictEqual(data.errors.length, 4);
+
+    const { entries } = await db.getAuditLog({ action: 'import' });
+    assert.deepStrictEqual(entries.map(entry => [entry.username, entry.entity_id, entry.details]), [
+      ['importer', data.batchId, 'export.csv: 2 new, 0 updated, 0 duplicates, 2 invalid rows']
+    ]);
+  });
+
+  it('explains bodies it can\'t import', async () => {
+    const post = (body, query = '') => api('/import' + query, { token: tokens.importer, method: 'POST', body });
+
+    await expectError(await post(''), 400, 'empty_body');
+    await expectError(await post('just some text', '?fileName=notes.txt'), 415, 'unsupported_format');
+    await expectError(await post('{"trades": ', '?fileName=export.json'), 400, 'invalid_json');
+
+    const error = await expectError(await post('When,What\n2025-08-07,Dragon bones\n', '?fileName=export.csv'), 422, 'unmapped_columns');
+    assert.deepStrictEqual(error.headers, ['When', 'What']);
+    assert.ok(error.missing.includes('Item'));
+  });
+});
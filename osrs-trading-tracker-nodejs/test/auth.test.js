@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ROLES, hasRole, validateUser, validateAccount, hashPassword, verifyPassword } = require('../lib/auth');
+
+describe('roles', () => {
+  it('ranks viewer < importer < owner', () => {
+    assert.deepStrictEqual(ROLES, ['viewer', 'importer', 'owner']);
+  });
+
+  it('grants a role everything below it', () => {
+    assert.strictEqual(hasRole({ role: 'owner' }, 'importer'), true);
+    assert.strictEqual(hasRole({ role: 'importer' }, 'importer'), true);
+    assert.strictEqual(hasRole({ role: 'importer' }, 'owner'), false);
+    assert.strictEqual(hasRole({ role: 'viewer' }, 'importer'), false);
+    assert.strictEqual(hasRole(null, 'viewer'), false);
+    assert.strictEqual(hasRole({ role: 'wizard' }, 'viewer'), false);
+  });
+});
+
+describe('validateUser', () => {
+  it('accepts a well-formed account', () => {
+    assert.strictEqual(validateUser({ username: 'Ormeth', password: 'correct horse', role: 'viewer' }), null);
+  });
+
+  it('rejects bad usernames, roles and short passwords', () => {
+    assert.match(validateUser({ username: 'a', password: 'correct horse', role: 'viewer' }), /Usernames/);
+    assert.match(validateUser({ username: 'Ormeth', password: 'correct horse', role: 'admin' }), /Role/);
+    assert.match(validateUser({ username: 'Ormeth', password: 'short', role: 'viewer' }), /at least 8/);
+  });
+
+  it('checks the username and role without a password', () => {
+    assert.strictEqual(validateAccount({ username: 'Ormeth', role: 'viewer' }), null);
+    assert.match(validateAccount({ username: 'Ormeth', role: 'admin' }), /Role/);
+  });
+});
+
+describe('passwords', () => {
+  it('hashes with bcrypt and verifies', async () => {
+    const hash = await hashPassword('correct horse');
+    assert.notStrictEqual(hash, 'correct horse');
+    assert.strictEqual(await verifyPassword('correct horse', hash), true);
+    assert.strictEqual(await verifyPassword('wrong horse', hash), false);
+    assert.strictEqual(await verifyPassword(undefined, hash), false);
+  });
+});
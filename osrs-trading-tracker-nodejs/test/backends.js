@@ -0,0 +1,50 @@
+const Database = require('../database/db');
+const PostgresDatabase = require('../database/postgres-db');
+
+// Each backend factory returns a fresh, empty, uninitialised storage instance.
+// Postgres runs against TEST_POSTGRES_URL when set, otherwise against pg-mem in-process.
+const backends = {
+  sqlite: () => new Database({ filename: ':memory:' }),
+  postgres: async () => {
+    if (process.env.TEST_POSTGRES_URL) {
+      // The test database is wiped before every test
+      const { Pool } = require('pg');
+      const pool = new Pool({ connectionString: process.env.TEST_POSTGRES_URL });
+      await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+      return new PostgresDatabase({ pool });
+    }
+
+    const { newDb } = require('pg-mem');
+    const { Pool } = newDb({ noAstCoverageCheck: true }).adapters.createPg();
+    return new PostgresDatabase({ pool: new Pool() });
+  }
+};
+
+// Tests that need real transaction rollback are skipped on pg-mem, which ignores ROLLBACK
+const noRollback = {
+  sqlite: false,
+  postgres: !process.env.TEST_POSTGRES_URL && 'pg-mem does not roll back transactions'
+};
+
+// A finished flip in the shape insertRecord() takes
+const flip = (overrides = {}) => ({
+  firstBuyTime: '2025-08-07T01:25:52Z',
+  lastSellTime: '2025-08-07T03:10:00Z',
+  account: 'Ormeth',
+  item: 'Dragon bones',
+  status: 'FINISHED',
+  bought: 100,
+  sold: 100,
+  avgBuyPrice: 2288,
+  avgSellPrice: 2350,
+  tax: 4700,
+  profit: 1500,
+  profitEa: 15,
+  ...overrides
+});
+
+module.exports = {
+  backends,
+  noRollback,
+  flip
+};
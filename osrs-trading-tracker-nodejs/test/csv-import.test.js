@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { readCsv, guessMapping, cleanMapping, missingFields, parseTimestamp, parseRows } = require('../lib/csv-import');
+
+const fixture = path.join(__dirname, 'fixtures', 'copilot-export.csv');
+
+describe('CSV import', () => {
+  it('guesses the mapping from known header spellings', async () => {
+    const { headers } = await readCsv(fixture);
+    const mapping = guessMapping(headers);
+
+    assert.strictEqual(mapping.firstBuyTime, 'First buy time');
+    assert.strictEqual(mapping.profitEa, 'Profit ea.');
+    assert.deepStrictEqual(missingFields(mapping), []);
+
+    assert.deepStrictEqual(guessMapping(['FIRST_BUY_TIME', 'Whatever']).firstBuyTime, 'FIRST_BUY_TIME');
+    assert.deepStrictEqual(missingFields(guessMapping(['Whatever'])), ['First buy time', 'Account', 'Item', 'Status']);
+  });
+
+  it('drops mapped headers the file does not have', () => {
+    const mapping = cleanMapping({ item: 'Name', account: 'Nope', bogus: 'Name' }, ['Name']);
+    assert.strictEqual(mapping.item, 'Name');
+    assert.strictEqual(mapping.account, '');
+    assert.strictEqual(mapping.bogus, undefined);
+  });
+
+  it('normalises timestamps to UTC ISO-8601', () => {
+    assert.strictEqual(parseTimestamp('2025-08-07T01:25:52Z'), '2025-08-07T01:25:52Z');
+    assert.strictEqual(parseTimestamp('2025-08-08 09:15'), '2025-08-08T09:15:00Z');
+    assert.strictEqual(parseTimestamp('2025-08-08T09:15:00+02:00'), '2025-08-08T07:15:00Z');
+    assert.strictEqual(parseTimestamp('yesterday'), null);
+    assert.strictEqual(parseTimestamp('2025-13-45T00:00:00Z'), null);
+  });
+
+  it('parses valid rows and reports bad values with line numbers', async () => {
+    const { headers, rows } = await readCsv(fixture);
+    const { records, errors } = parseRows(rows, guessMapping(headers));
+
+    assert.deepStrictEqual(records.map(r => r.line), [2, 3]);
+    assert.deepStrictEqual(records[1].record, {
+      firstBuyTime: '2025-08-07T02:41:43Z',
+      lastSellTime: null,
+      account: 'Ormeth',
+      item: 'Runite bolts',
+      status: 'SELLING',
+      bought: 1000,
+      sold: 0,
+      avgBuyPrice: 210,
+      avgSellPrice: 0,
+      tax: 0,
+      profit: 0,
+      profitEa: 0
+    });
+
+    assert.deepStrictEqual(errors.map(e => [e.line, e.field, e.message]), [
+      [4, 'First buy time', 'is not a valid timestamp'],
+      [4, 'Avg. buy price', 'is not a whole number'],
+      [5, 'Account', 'is missing'],
+      [5, 'Status', 'is not one of BUYING, SELLING, FINISHED']
+    ]);
+  });
+});
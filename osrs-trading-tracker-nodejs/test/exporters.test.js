@@ -0,0 +1,90 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const { backends, flip } = require('./backends');
+const { loadDatasets, toCsv, toJson, toXlsx } = require('../lib/exporters');
+const { getImporter } = require('../lib/importers');
+
+before(() => mock.method(console, 'log', () => {}));
+
+describe('exporters', () => {
+  it('quotes CSV values that need it', () => {
+    const csv = toCsv({
+      columns: [{ header: 'Item', key: 'item' }, { header: 'Profit', key: 'profit' }],
+      rows: [{ item: 'Bones, "big"', profit: 10 }, { item: 'Coal', profit: null }]
+    });
+    assert.strictEqual(csv, 'Item,Profit\r\n"Bones, ""big""",10\r\nCoal,\r\n');
+  });
+});
+
+for (const [name, createBackend] of Object.entries(backends)) {
+  describe(`${name} export`, () => {
+    let db;
+    let userId;
+    let dir;
+
+    beforeEach(async () => {
+      db = await createBackend();
+      await db.init();
+      ({ id: userId } = await db.createUser({ username: 'trader', passwordHash: 'hash', role: 'owner' }));
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+
+      await db.insertRecord(userId, flip());
+      await db.insertRecord(userId, flip({ item: 'Coal, noted', profit: -200 }));
+      await db.insertRecord(userId, flip({
+        item: 'Rune arrow', account: 'Zezima', status: 'SELLING', lastSellTime: null, sold: 40, profit: 300
+      }));
+    });
+
+    afterEach(async () => {
+      await db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('exported records CSV re-imports without new rows', async () => {
+      const { records: dataset } = await loadDatasets(db, userId, ['records'], {});
+      const file = path.join(dir, 'records.csv');
+      fs.writeFileSync(file, toCsv(dataset));
+
+      const parsed = await getImporter('csv').parse(file);
+      assert.deepStrictEqual(parsed.missing, []);
+      assert.deepStrictEqual(parsed.errors, []);
+      assert.strictEqual(parsed.records.length, 3);
+
+      for (const { record } of parsed.records) {
+        assert.strictEqual(await db.importRecord(userId, record), 'duplicate');
+      }
+      assert.strictEqual((await db.getRecords(userId)).length, 3);
+    });
+
+    it('applies the records view filters to every dataset', async () => {
+      const datasets = await loadDatasets(db, userId, ['records', 'daily', 'timeline', 'items'], { account: 'Ormeth' });
+
+      assert.strictEqual(datasets.records.rows.length, 2);
+      assert.deepStrictEqual(datasets.items.rows.map(row => [row.item, row.flips, row.totalProfit]), [
+        ['Dragon bones', 1, 1500],
+        ['Coal, noted', 1, -200]
+      ]);
+      assert.strictEqual(datasets.daily.rows[0].dailyProfit, 1300);
+      assert.strictEqual(datasets.timeline.rows[0].dailyProfit, 1300);
+
+      const json = JSON.parse(toJson(datasets));
+      assert.deepStrictEqual(Object.keys(json), ['records', 'daily', 'timeline', 'items']);
+      assert.strictEqual(json.records[0].account, 'Ormeth');
+    });
+
+    it('writes one XLSX sheet per dataset', async () => {
+      const datasets = await loadDatasets(db, userId, ['records', 'items'], {});
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(await toXlsx(datasets));
+
+      assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['Records', 'Items']);
+      assert.strictEqual(workbook.getWorksheet('Records').rowCount, 4);
+      assert.strictEqual(workbook.getWorksheet('Items').getCell('A1').value, 'Item');
+    });
+  });
+}
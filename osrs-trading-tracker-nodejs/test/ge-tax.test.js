@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { TAX_RULES, getTaxRules, customTaxRules, taxRulesAt, geTax, auditTax, taxWhatIf } = require('../lib/ge-tax');
+
+const record = (overrides = {}) => ({
+  id: 1,
+  first_buy_time: '2025-08-07T01:25:52Z',
+  last_sell_time: '2025-08-07T03:10:00Z',
+  item: 'Dragon bones',
+  status: 'FINISHED',
+  sold: 100,
+  avg_sell_price: 2350,
+  tax: 4700,
+  profit: 1500,
+  ...overrides
+});
+
+describe('GE tax', () => {
+  it('applies the rules in force at the sale time', () => {
+    assert.strictEqual(taxRulesAt('2021-12-08T23:59:59Z'), null);
+    assert.strictEqual(taxRulesAt('2023-01-01T00:00:00Z').id, '2021-12');
+    assert.strictEqual(taxRulesAt('2025-05-29T00:00:00Z').id, '2025-05');
+
+    assert.strictEqual(geTax(2350, { time: '2021-01-01T00:00:00Z' }), 0);
+    assert.strictEqual(geTax(2350, { time: '2024-01-01T00:00:00Z' }), 23);
+    assert.strictEqual(geTax(2350, { time: '2025-08-07T00:00:00Z' }), 47);
+    assert.strictEqual(geTax(2350), 47);
+  });
+
+  it('caps, thresholds and exempts', () => {
+    const rules = getTaxRules('2021-12');
+    assert.strictEqual(geTax(99, { rules }), 0);
+    assert.strictEqual(geTax(100, { rules }), 1);
+    assert.strictEqual(geTax(2000000000, { rules }), 5000000);
+    assert.strictEqual(geTax(12000000, { item: 'Old school bond', rules }), 0);
+    assert.strictEqual(geTax(49, { rules: TAX_RULES[1] }), 0);
+  });
+
+  it('flags imported tax the rules disagree with', () => {
+    const flagged = auditTax([
+      record(),
+      record({ id: 2, tax: 4650 }),
+      record({ id: 3, tax: 2300, last_sell_time: '2024-03-01T00:00:00Z' }),
+      record({ id: 4, tax: 0 }),
+      record({ id: 5, item: 'Old school bond', sold: 1, avg_sell_price: 12000000, tax: 240000 })
+    ]);
+
+    assert.deepStrictEqual(flagged.map(r => [r.id, r.rules.id, r.expectedTax, r.difference]), [
+      [4, '2025-05', 4700, -4700],
+      [5, '2025-05', 0, 240000]
+    ]);
+  });
+
+  it('re-runs history under another rule set', () => {
+    const records = [
+      record(),
+      record({ id: 2, item: 'Old school bond', sold: 1, avg_sell_price: 12000000, tax: 0, profit: 200000 })
+    ];
+
+    const { totals, items } = taxWhatIf(records, getTaxRules('2021-12'));
+    assert.deepStrictEqual(totals, {
+      records: 2, actualTax: 4700, simulatedTax: 2300, actualProfit: 201500, simulatedProfit: 203900, change: 2400
+    });
+    assert.deepStrictEqual(items.map(item => [item.item, item.change]), [['Dragon bones', 2400], ['Old school bond', 0]]);
+
+    const custom = taxWhatIf(records, customTaxRules({ rate: 0.05, cap: 100 }));
+    assert.deepStrictEqual([custom.totals.simulatedTax, custom.totals.change], [10000, -5300]);
+  });
+
+  it('leaves open flips out of the what-if profit', () => {
+    const records = [
+      record(),
+      record({ id: 2, status: 'SELLING', last_sell_time: null, sold: 50, tax: 2350, profit: -40000 })
+    ];
+
+    const { totals } = taxWhatIf(records, getTaxRules('2021-12'));
+    assert.deepStrictEqual(totals, {
+      records: 2, actualTax: 7050, simulatedTax: 3450, actualProfit: 1500, simulatedProfit: 3900, change: 3600
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { runsInBackground, startImportJob, getImportJob } = require('../lib/import-jobs');
+
+describe('import jobs', () => {
+  it('only run in the background on a long-running server', () => {
+    assert.strictEqual(runsInBackground({}), true);
+    assert.strictEqual(runsInBackground({ VERCEL: '1' }), false);
+    assert.strictEqual(runsInBackground({ POSTGRES_URL: 'postgres://localhost/osrs' }), false);
+  });
+
+  it('report progress while running in the background', async () => {
+    let finish;
+    const job = await startImportJob(1, 'export.csv', async (job) => {
+      job.rows = 500;
+      await new Promise(resolve => { finish = resolve; });
+      return { redirect: '/' };
+    }, { background: true });
+
+    assert.strictEqual(job.status, 'running');
+    assert.strictEqual(getImportJob(1, job.id).rows, 500);
+    assert.strictEqual(getImportJob(2, job.id), null);
+
+    finish();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual([job.status, job.percent, job.result], ['done', 100, { redirect: '/' }]);
+  });
+
+  it('finish before resolving when run within the request', async () => {
+    const done = await startImportJob(1, 'export.csv', async () => ({ redirect: '/' }), { background: false });
+    assert.strictEqual(done.status, 'done');
+
+    const failed = await startImportJob(1, 'export.csv', async () => { throw new Error('bad file'); }, { background: false });
+    assert.deepStrictEqual([failed.status, failed.error], ['failed', 'bad file']);
+  });
+});
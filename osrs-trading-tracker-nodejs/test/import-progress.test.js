@@ -0,0 +1,100 @@
+// The routes run against the shared database instance (database/index.js).
+// Progress polling needs a file database, where reads aren't held up by the
+// import's transaction, so point it at one in a temporary folder.
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osrs-progress-'));
+delete process.env.POSTGRES_URL;
+process.env.SQLITE_FILE = path.join(dir, 'tracker.sqlite');
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const session = require('express-session');
+
+const { flip } = require('./backends');
+const db = require('../database');
+const routes = require('../routes');
+const { startImportJob } = require('../lib/import-jobs');
+
+describe('import progress', () => {
+  let server;
+  let baseUrl;
+  let userId;
+  let cookie;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    await db.init();
+    ({ id: userId } = await db.createUser({ username: 'trader', passwordHash: 'hash', role: 'importer' }));
+
+    const app = express();
+    app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+    app.post('/test-login', (req, res) => {
+      req.session.userId = userId;
+      res.end();
+    });
+    app.use('/', routes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const login = await fetch(baseUrl + '/test-login', { method: 'POST' });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reports how far an import has got while it runs', async () => {
+    // The import's records arrive as the test lets them, holding its
+    // transaction open in between
+    let waiting;
+    let release;
+    const paused = new Promise(resolve => { waiting = resolve; });
+    const released = new Promise(resolve => { release = resolve; });
+    async function* records() {
+      yield flip({ item: 'Cannonball' });
+      yield flip({ item: 'Runite bolts' });
+      waiting();
+      await released;
+      yield flip({ item: 'Shark' });
+    }
+
+    const job = await startImportJob(userId, 'export.csv', async (job) => {
+      await db.importBatch(userId, 'export.csv', records(), 0, {
+        onProgress: ({ rows }) => { job.rows = rows; }
+      });
+      return { redirect: '/imports' };
+    }, { background: true });
+
+    const poll = async () => {
+      const response = await fetch(`${baseUrl}/upload/progress/${job.id}.json`, {
+        headers: { Cookie: cookie },
+        signal: AbortSignal.timeout(5000)
+      });
+      assert.strictEqual(response.status, 200);
+      return response.json();
+    };
+
+    await paused;
+    assert.ok(db.openTransaction);
+    const running = await poll();
+    assert.deepStrictEqual([running.status, running.rows], ['running', 0]);
+
+    release();
+    let status = await poll();
+    while (status.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      status = await poll();
+    }
+    assert.deepStrictEqual([status.status, status.rows, status.redirect], ['done', 3, '/imports']);
+    assert.strictEqual(await db.countRecords(userId), 3);
+  });
+});
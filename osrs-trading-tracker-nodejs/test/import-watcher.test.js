@@ -0,0 +1,101 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { backends } = require('./backends');
+const { watchOptions, archivedName, ImportWatcher } = require('../lib/import-watcher');
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+describe('import watcher options', () => {
+  it('is off unless a folder is set', () => {
+    assert.strictEqual(watchOptions({}), null);
+    assert.deepStrictEqual(watchOptions({ IMPORT_WATCH_DIR: '/exports', IMPORT_WATCH_USER: 'trader' }), {
+      dir: path.resolve('/exports'),
+      username: 'trader',
+      intervalSeconds: 30,
+      preset: null
+    });
+  });
+
+  it('refuses a half-set configuration', () => {
+    assert.throws(() => watchOptions({ IMPORT_WATCH_DIR: '/exports' }), /IMPORT_WATCH_USER/);
+    assert.throws(() => watchOptions({ IMPORT_WATCH_DIR: '/exports', IMPORT_WATCH_USER: 'trader', IMPORT_WATCH_INTERVAL: 'soon' }), /seconds/);
+  });
+
+  it('stamps archived files with when they were moved', () => {
+    assert.strictEqual(archivedName('export.csv', new Date('2025-08-07T01:25:52.123Z')), '20250807T012552Z-export.csv');
+  });
+});
+
+describe('import watcher', () => {
+  let db;
+  let dir;
+  let watcher;
+
+  beforeEach(async () => {
+    db = backends.sqlite();
+    await db.init();
+    await db.createUser({ username: 'trader', passwordHash: 'hash', role: 'importer' });
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'osrs-watch-'));
+    watcher = new ImportWatcher(db, { dir, username: 'trader' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('imports settled files and moves them out of the folder', async () => {
+    await fs.promises.copyFile(path.join(__dirname, 'fixtures', 'copilot-export.csv'), path.join(dir, 'export.csv'));
+    await fs.promises.writeFile(path.join(dir, 'broken.json'), '{"not": "an export"}');
+    await fs.promises.writeFile(path.join(dir, 'readme.txt'), 'ignored');
+
+    // The first scan only notes the files, in case they're still being written
+    assert.deepStrictEqual(await watcher.scan(), []);
+
+    const runs = await watcher.scan();
+    assert.deepStrictEqual(runs.map(run => [run.fileName, run.status]), [['broken.json', 'failed'], ['export.csv', 'imported']]);
+    assert.match(runs[0].message, /recognise/);
+
+    assert.deepStrictEqual((await fs.promises.readdir(dir)).sort(), ['failed', 'processed', 'readme.txt']);
+    assert.match((await fs.promises.readdir(path.join(dir, 'processed')))[0], /^\d{8}T\d{6}Z-export\.csv$/);
+    assert.strictEqual((await fs.promises.readdir(path.join(dir, 'failed'))).length, 1);
+
+    const [imported, failed] = await db.listWatchRuns();
+    assert.deepStrictEqual([imported.file_name, imported.status, imported.username], ['export.csv', 'imported', 'trader']);
+    assert.strictEqual((await db.getImportBatch(imported.user_id, imported.batch_id)).file_name, 'export.csv');
+    assert.deepStrictEqual([failed.file_name, failed.batch_id], ['broken.json', null]);
+
+    // The same export written again is picked up and found to be duplicates
+    await fs.promises.copyFile(path.join(__dirname, 'fixtures', 'copilot-export.csv'), path.join(dir, 'export.csv'));
+    await watcher.scan();
+    const [again] = await watcher.scan();
+    assert.match(again.message, /^0 new, 0 updated, \d+ duplicates/);
+  });
+
+  it('waits while a file is still changing', async () => {
+    const file = path.join(dir, 'export.csv');
+    await fs.promises.copyFile(path.join(__dirname, 'fixtures', 'copilot-export.csv'), file);
+    await watcher.scan();
+
+    await fs.promises.appendFile(file, '\n');
+    assert.deepStrictEqual(await watcher.scan(), []);
+    assert.strictEqual((await watcher.scan()).length, 1);
+  });
+
+  it('leaves files alone while the user can\'t import', async () => {
+    watcher = new ImportWatcher(db, { dir, username: 'nobody' });
+    await fs.promises.copyFile(path.join(__dirname, 'fixtures', 'copilot-export.csv'), path.join(dir, 'export.csv'));
+    await watcher.scan();
+
+    await assert.rejects(watcher.scan(), /nobody is not a user who can import/);
+    assert.deepStrictEqual((await fs.promises.readdir(dir)).sort(), ['export.csv', 'failed', 'processed']);
+    assert.deepStrictEqual(await db.listWatchRuns(), []);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { detectImporter, isAcceptedUpload, getImporter, previewRecords, readRecords, countInvalidRows } = require('../lib/importers');
+const { MAX_KEPT_ERRORS } = require('../lib/csv-import');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+describe('importer registry', () => {
+  it('detects the format from file content', async () => {
+    assert.strictEqual((await detectImporter(fixture('copilot-export.csv'), 'export.csv')).id, 'csv');
+    assert.strictEqual((await detectImporter(fixture('flipping-utilities.json'), 'export.csv')).id, 'flipping-utilities');
+    assert.strictEqual((await detectImporter(fixture('tracker-records.json'), 'records.json')).id, 'tracker-json');
+    assert.strictEqual(await detectImporter(path.join(__dirname, '..', 'package.json'), 'package.json'), null);
+  });
+
+  it('accepts uploads any importer can read', () => {
+    assert.strictEqual(isAcceptedUpload('export.csv', 'application/octet-stream'), true);
+    assert.strictEqual(isAcceptedUpload('Ormeth.JSON', ''), true);
+    assert.strictEqual(isAcceptedUpload('upload', 'text/csv'), true);
+    assert.strictEqual(isAcceptedUpload('malware.exe', 'application/x-msdownload'), false);
+  });
+
+  it('streams CSV records to match a whole-file parse', async () => {
+    const parsed = await getImporter('csv').parse(fixture('copilot-export.csv'));
+    const source = await readRecords(getImporter('csv'), fixture('copilot-export.csv'));
+
+    const records = [];
+    for await (const record of source.records) {
+      records.push(record);
+    }
+    assert.deepStrictEqual(records, parsed.records.map(row => row.record));
+    assert.deepStrictEqual(source.errors, parsed.errors);
+    assert.strictEqual(source.invalidRows(), 2);
+    assert.strictEqual(source.totalRows, parsed.totalRows);
+  });
+
+  it('streams the CSV preview to match a whole-file parse', async () => {
+    const parsed = await getImporter('csv').parse(fixture('copilot-export.csv'), { preview: 2 });
+    const preview = await previewRecords(getImporter('csv'), fixture('copilot-export.csv'), { preview: 2 });
+
+    assert.deepStrictEqual(preview.preview, parsed.preview);
+    assert.deepStrictEqual(preview.errors, parsed.errors);
+    assert.deepStrictEqual(
+      [preview.totalRows, preview.validRows, preview.invalidRows, preview.errorCount],
+      [parsed.totalRows, parsed.records.length, countInvalidRows(parsed.errors), parsed.errors.length]
+    );
+    assert.deepStrictEqual(preview.headers, parsed.headers);
+  });
+
+  it('keeps only the first errors of a badly broken CSV but counts them all', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'osrs-importers-'));
+    const file = path.join(dir, 'broken.csv');
+    const rows = Array.from({ length: MAX_KEPT_ERRORS + 50 }, (_, i) => `soon,,Ormeth,Coal,LOST,${i},0,1,0,0,0,0`);
+    await fs.promises.writeFile(file, [
+      'First buy time,Last sell time,Account,Item,Status,Bought,Sold,Avg. buy price,Avg. sell price,Tax,Profit,Profit ea.',
+      '2025-08-07T01:25:52Z,,Ormeth,Coal,SELLING,10,0,150,0,0,0,0',
+      ...rows
+    ].join('\n'));
+
+    try {
+      const preview = await previewRecords(getImporter('csv'), file, { preview: 5 });
+      assert.deepStrictEqual([preview.totalRows, preview.validRows, preview.invalidRows], [MAX_KEPT_ERRORS + 51, 1, MAX_KEPT_ERRORS + 50]);
+      assert.strictEqual(preview.errorCount, (MAX_KEPT_ERRORS + 50) * 2);
+      assert.strictEqual(preview.errors.length, MAX_KEPT_ERRORS);
+      assert.strictEqual(preview.preview.length, 5);
+
+      const source = await readRecords(getImporter('csv'), file);
+      const records = [];
+      for await (const record of source.records) {
+        records.push(record);
+      }
+      assert.strictEqual(records.length, 1);
+      assert.strictEqual(source.errors.length, MAX_KEPT_ERRORS);
+      assert.strictEqual(source.invalidRows(), MAX_KEPT_ERRORS + 50);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads whole files for importers that can\'t stream', async () => {
+    const source = await readRecords(getImporter('tracker-json'), fixture('tracker-records.json'));
+    assert.deepStrictEqual(source.records.map(record => record.item), ['Dragon bones', 'Runite bolts', 'Cannonball']);
+    assert.strictEqual(countInvalidRows(source.errors), 1);
+    assert.strictEqual(source.invalidRows(), 1);
+
+    const preview = await previewRecords(getImporter('tracker-json'), fixture('tracker-records.json'));
+    assert.deepStrictEqual([preview.validRows, preview.invalidRows, preview.errorCount], [3, 1, 1]);
+    assert.strictEqual(preview.records, undefined);
+  });
+});
+
+describe('Flipping Utilities importer', () => {
+  it('groups offer events into flips', async () => {
+    const { records, errors, totalRows } = await getImporter('flipping-utilities')
+      .parse(fixture('flipping-utilities.json'), { fileName: 'Zezima.json' });
+
+    assert.strictEqual(totalRows, 3);
+    assert.deepStrictEqual(errors.map(e => [e.line, e.message]), [[3, 'has no item name']]);
+    assert.deepStrictEqual(records.map(r => r.record), [
+      {
+        firstBuyTime: '2025-08-07T01:10:00Z',
+        lastSellTime: null,
+        account: 'Zezima',
+        item: 'Runite bolts',
+        status: 'BUYING',
+        bought: 1000,
+        sold: 0,
+        avgBuyPrice: 210,
+        avgSellPrice: 0,
+        tax: 0,
+        profit: 0,
+        profitEa: 0
+      },
+      {
+        firstBuyTime: '2025-08-07T01:25:52Z',
+        lastSellTime: '2025-08-07T03:10:00Z',
+        account: 'Ormeth',
+        item: 'Dragon bones',
+        status: 'FINISHED',
+        bought: 100,
+        sold: 100,
+        avgBuyPrice: 2290,
+        avgSellPrice: 2350,
+        tax: 4700,
+        profit: 1300,
+        profitEa: 13
+      },
+      {
+        firstBuyTime: '2025-08-07T20:53:20Z',
+        lastSellTime: null,
+        account: 'Ormeth',
+        item: 'Dragon bones',
+        status: 'SELLING',
+        bought: 50,
+        sold: 20,
+        avgBuyPrice: 2300,
+        avgSellPrice: 2360,
+        tax: 940,
+        profit: 260,
+        profitEa: 13
+      }
+    ]);
+  });
+});
+
+describe('Trading Tracker JSON importer', () => {
+  it('reads records named like the export, the database or the CSV', async () => {
+    const { records, errors, totalRows } = await getImporter('tracker-json').parse(fixture('tracker-records.json'));
+
+    assert.strictEqual(totalRows, 4);
+    assert.deepStrictEqual(records.map(r => [r.line, r.record.item, r.record.firstBuyTime, r.record.profit]), [
+      [1, 'Dragon bones', '2025-08-07T01:25:52Z', 1500],
+      [2, 'Runite bolts', '2025-08-07T02:41:43Z', 0],
+      [3, 'Cannonball', '2025-08-08T10:00:00Z', 120]
+    ]);
+    assert.deepStrictEqual(errors.map(e => [e.line, e.field, e.message]), [[4, 'Status', 'is not one of BUYING, SELLING, FINISHED']]);
+  });
+});
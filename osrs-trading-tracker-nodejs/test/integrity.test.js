@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { checkIntegrity, integrityFixes } = require('../lib/integrity');
+
+const record = (overrides = {}) => ({
+  id: 1,
+  first_buy_time: '2025-08-07T01:25:52Z',
+  last_sell_time: '2025-08-07T03:10:00Z',
+  status: 'FINISHED',
+  bought: 100,
+  sold: 100,
+  avg_buy_price: 2288,
+  avg_sell_price: 2350,
+  tax: 4700,
+  profit: 1500,
+  profit_ea: 15,
+  ...overrides
+});
+
+const violated = (report) => Object.fromEntries(report.rules
+  .filter(rule => rule.violations.length > 0)
+  .map(rule => [rule.id, rule.violations.map(violation => violation.record.id)]));
+
+describe('integrity rules', () => {
+  it('passes consistent records, allowing for rounded prices', () => {
+    const report = checkIntegrity([record(), record({ id: 2, profit: 1420, profit_ea: 14 })]);
+    assert.deepStrictEqual([report.checked, report.flagged], [2, 0]);
+  });
+
+  it('groups violations by rule', () => {
+    const report = checkIntegrity([
+      record({ id: 1, profit: 9000, profit_ea: 90 }),
+      record({ id: 2, profit_ea: 50 }),
+      record({ id: 3, last_sell_time: '2025-08-06T00:00:00Z' }),
+      record({ id: 4, sold: 120, tax: 5640, profit: 1800, profit_ea: 15 }),
+      record({ id: 5, sold: 0, avg_sell_price: 0, tax: 0, profit: 0, profit_ea: 0 }),
+      record({ id: 6, last_sell_time: null, status: 'BUYING', sold: 0, avg_buy_price: -5, avg_sell_price: 0, tax: 0, profit: 0, profit_ea: 0 })
+    ]);
+
+    assert.strictEqual(report.flagged, 6);
+    assert.deepStrictEqual(violated(report), {
+      'profit-mismatch': [1],
+      'profit-ea-mismatch': [2],
+      'sell-before-buy': [3],
+      oversold: [4],
+      'finished-unsold': [5],
+      'negative-values': [6]
+    });
+    assert.strictEqual(report.rules[0].violations[0].detail, 'profit is 9,000 GP, expected 1,500 GP');
+  });
+
+  it('only fixes what can be recomputed', () => {
+    const records = [record({ id: 1, profit: 9000, profit_ea: 90 }), record({ id: 2, profit_ea: 50 })];
+
+    assert.deepStrictEqual(integrityFixes(records, 'profit-mismatch'), [{ id: 1, changes: { profit: 1500, profit_ea: 15 } }]);
+    assert.deepStrictEqual(integrityFixes(records, 'profit-ea-mismatch'), [{ id: 2, changes: { profit_ea: 15 } }]);
+    assert.throws(() => integrityFixes(records, 'oversold'), /No safe fix/);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { itemKey, parseItemCatalog, buyLimitUsage } = require('../lib/items');
+
+const buy = (account, item, time, bought) => ({ account, item, first_buy_time: time, bought });
+
+describe('item catalog', () => {
+  it('matches names regardless of case, spacing and apostrophes', () => {
+    assert.strictEqual(itemKey('  Dragon   BONES '), 'dragon bones');
+    assert.strictEqual(itemKey('Black d’hide body'), 'black d\'hide body');
+    assert.strictEqual(itemKey(null), '');
+  });
+
+  it('reads the mapping file, keeping the first of each name', () => {
+    assert.deepStrictEqual(parseItemCatalog([
+      { id: 536, name: 'Dragon bones', members: true, limit: 7500, highalch: 432 },
+      { id: 385, name: 'Shark ', members: true, limit: 10000 },
+      { id: 9999, name: 'shark', members: false, limit: 1 },
+      { id: 2, name: 'Cannonball', members: false, limit: 'lots', highalch: 3 }
+    ]), [
+      { id: 536, name: 'Dragon bones', members: true, buyLimit: 7500, highAlch: 432 },
+      { id: 385, name: 'Shark', members: true, buyLimit: 10000, highAlch: null },
+      { id: 2, name: 'Cannonball', members: false, buyLimit: null, highAlch: 3 }
+    ]);
+  });
+
+  it('rejects files that are not a mapping', () => {
+    assert.throws(() => parseItemCatalog({ data: {} }), /\/mapping response/);
+    assert.throws(() => parseItemCatalog([{ name: 'Shark' }]), /\/mapping response/);
+    assert.throws(() => parseItemCatalog([]), /no items/);
+  });
+});
+
+describe('buy limits', () => {
+  const limits = new Map([['dragon bones', 7500], ['shark', 10000]]);
+  const now = Date.parse('2025-08-08T12:00:00Z');
+
+  it('adds up buys in the window opened by the first one', () => {
+    const usage = buyLimitUsage([
+      buy('Ormeth', 'Dragon bones', '2025-08-08T09:00:00Z', 3000),
+      buy('Ormeth', 'Dragon bones', '2025-08-08T11:00:00Z', 6000),
+      buy('Alt', 'dragon bones', '2025-08-08T10:30:00Z', 500)
+    ], limits, now);
+
+    assert.deepStrictEqual(usage.map(u => [u.account, u.bought, u.limit, u.remaining, u.usedPercent, u.resetsAt, u.hoursLeft]), [
+      ['Ormeth', 9000, 7500, 0, 100, '2025-08-08T13:00:00Z', 1],
+      ['Alt', 500, 7500, 7000, 500 * 100 / 7500, '2025-08-08T14:30:00Z', 2.5]
+    ]);
+  });
+
+  it('starts a new window once the last one has run out', () => {
+    const usage = buyLimitUsage([
+      buy('Ormeth', 'Shark', '2025-08-08T05:00:00Z', 10000),
+      buy('Ormeth', 'Shark', '2025-08-08T08:59:00Z', 1000),
+      buy('Ormeth', 'Shark', '2025-08-08T09:30:00Z', 2000)
+    ], limits, now);
+
+    assert.deepStrictEqual(usage.map(u => [u.bought, u.windowStart, u.resetsAt]), [
+      [2000, '2025-08-08T09:30:00Z', '2025-08-08T13:30:00Z']
+    ]);
+  });
+
+  it('leaves out closed windows and reports items without a limit', () => {
+    const usage = buyLimitUsage([
+      buy('Ormeth', 'Shark', '2025-08-08T07:00:00Z', 10),
+      buy('Ormeth', 'Mystery box', '2025-08-08T11:00:00Z', 3),
+      buy('Ormeth', 'Shark', '2025-08-08T13:00:00Z', 10)
+    ], limits, now);
+
+    assert.deepStrictEqual(usage.map(u => [u.item, u.bought, u.limit, u.remaining, u.usedPercent]), [
+      ['Mystery box', 3, null, null, null]
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { backends, noRollback, flip } = require('./backends');
+const { loadMigrations, migrate } = require('../database/migrations');
+
+// Keep the backends' connection chatter out of the test runner's output
+before(() => mock.method(console, 'log', () => {}));
+
+describe('loadMigrations', () => {
+  it('loads migrations in version order starting at 1', () => {
+    const migrations = loadMigrations();
+    assert.strictEqual(migrations[0].version, 1);
+    migrations.forEach((migration, index) => {
+      assert.strictEqual(typeof migration.up, 'function');
+      if (index > 0) {
+        assert.ok(migration.version > migrations[index - 1].version);
+      }
+    });
+  });
+});
+
+for (const [name, createBackend] of Object.entries(backends)) {
+  describe(`${name} migrations`, () => {
+    let db;
+
+    beforeEach(async () => {
+      db = await createBackend();
+      await db.init();
+    });
+
+    afterEach(async () => {
+      await db.close();
+    });
+
+    it('records every applied migration', async () => {
+      const rows = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+      assert.deepStrictEqual(rows.map(row => row.version), loadMigrations().map(m => m.version));
+    });
+
+    it('does nothing when the schema is already current', async () => {
+      const { id: userId } = await db.createUser({ username: 'trader', passwordHash: 'hash', role: 'owner' });
+      await db.insertRecord(userId, flip());
+      const result = await migrate(db);
+      assert.strictEqual(result.applied, 0);
+      assert.strictEqual((await db.getRecords(userId)).length, 1);
+    });
+
+    it('runs only pending migrations, in order', async () => {
+      const latest = loadMigrations();
+      const next = latest[latest.length - 1].version + 1;
+      const extra = [
+        { version: next + 1, name: 'add-rating', up: () => ['ALTER TABLE trading_records ADD COLUMN rating INTEGER'] },
+        { version: next, name: 'create-watchlist', up: (t) => [`CREATE TABLE watchlist (id ${t.id}, item TEXT NOT NULL)`] }
+      ];
+
+      const result = await migrate(db, [...latest, ...extra].sort((a, b) => a.version - b.version));
+      assert.deepStrictEqual(result, { from: next - 1, to: next + 1, applied: 2 });
+
+      await db.run('INSERT INTO watchlist (item) VALUES (?)', ['Dragon bones']);
+      assert.strictEqual((await db.get('SELECT item FROM watchlist')).item, 'Dragon bones');
+    });
+
+    it('rolls back a migration that fails part way', { skip: noRollback[name] }, async () => {
+      const { id: userId } = await db.createUser({ username: 'trader', passwordHash: 'hash', role: 'owner' });
+      await db.insertRecord(userId, flip());
+      const latest = loadMigrations();
+      const next = latest[latest.length - 1].version + 1;
+      const broken = {
+        version: next,
+        name: 'broken',
+        up: () => ["UPDATE trading_records SET item = 'Oops'", 'THIS IS NOT SQL']
+      };
+
+      await assert.rejects(migrate(db, [...latest, broken]));
+      assert.strictEqual((await db.get('SELECT item FROM trading_records')).item, 'Dragon bones');
+      const row = await db.get('SELECT MAX(version) as version FROM schema_migrations');
+      assert.strictEqual(Number(row.version), next - 1);
+    });
+
+    it('gives records from before accounts to the first owner', async () => {
+      const legacy = await createBackend();
+      try {
+        // Stop at version 2: users exist but records have no owner yet
+        await legacy.connect();
+        await migrate(legacy, loadMigrations().filter(m => m.version <= 2));
+        await legacy.createUser({ username: 'viewer', passwordHash: 'hash', role: 'viewer' });
+        const { id: ownerId } = await legacy.createUser({ username: 'owner', passwordHash: 'hash', role: 'owner' });
+        await legacy.run(`INSERT INTO trading_records (account, item, status, profit) VALUES ('Ormeth', 'Coal', 'FINISHED', 50)`);
+
+        await migrate(legacy);
+        assert.strictEqual((await legacy.getDashboardStats(ownerId)).totalProfit, 50);
+      } finally {
+        await legacy.close();
+      }
+    });
+
+    it('turns the starting net worth setting into a deposit', async () => {
+      const legacy = await createBackend();
+      try {
+        await legacy.connect();
+        await migrate(legacy, loadMigrations().filter(m => m.version <= 7));
+        const { id: ownerId } = await legacy.createUser({ username: 'owner', passwordHash: 'hash', role: 'owner' });
+        const { id: traderId } = await legacy.createUser({ username: 'trader', passwordHash: 'hash', role: 'importer' });
+        await legacy.createUser({ username: 'viewer', passwordHash: 'hash', role: 'viewer' });
+        await legacy.insertRecord(ownerId, flip({ firstBuyTime: '2025-08-09T01:00:00Z' }));
+        await legacy.insertRecord(ownerId, flip());
+        await legacy.insertRecord(traderId, flip());
+        await legacy.run("INSERT INTO user_settings (user_id, key, value) VALUES (?, 'startingNetWorth', '50000000')", [traderId]);
+
+        await migrate(legacy);
+        const events = await legacy.all('SELECT user_id, type, event_date, amount FROM capital_events ORDER BY user_id');
+        assert.deepStrictEqual(events.map(e => [e.user_id, e.type, e.event_date, Number(e.amount)]), [
+          [ownerId, 'deposit', '2025-08-07', 196000000],
+          [traderId, 'deposit', '2025-08-07', 50000000]
+        ]);
+        assert.strictEqual((await legacy.all("SELECT * FROM user_settings WHERE key = 'startingNetWorth'")).length, 0);
+      } finally {
+        await legacy.close();
+      }
+    });
+
+    it('keeps the starting deposit for records no owner has claimed yet', async () => {
+      const legacy = await createBackend();
+      try {
+        await legacy.connect();
+        await migrate(legacy, loadMigrations().filter(m => m.version <= 2));
+        await legacy.run(`INSERT INTO trading_records (first_buy_time, account, item, status, profit)
+          VALUES ('2025-08-07T01:25:52Z', 'Ormeth', 'Coal', 'FINISHED', 50)`);
+
+        await migrate(legacy);
+        const { id: ownerId } = await legacy.createUser({ username: 'owner', passwordHash: 'hash', role: 'owner' });
+        await legacy.claimUnownedRecords(ownerId);
+        const events = await legacy.getCapitalEvents(ownerId);
+        assert.deepStrictEqual(events.map(e => [e.type, e.event_date, Number(e.amount)]), [['deposit', '2025-08-07', 196000000]]);
+      } finally {
+        await legacy.close();
+      }
+    });
+
+    it('refuses to start when the database is newer than the code', async () => {
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [9999, 'from-the-future']);
+      await assert.rejects(db.init(), /schema is at version 9999/);
+    });
+  });
+}
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parsePriceSnapshot } = require('../lib/prices');
+
+const mapping = [
+  { id: 536, name: 'Dragon bones', limit: 7500 },
+  { id: 385, name: 'Shark', limit: 10000 },
+  { id: 9999, name: 'Shark', limit: 1 }
+];
+
+describe('price snapshots', () => {
+  it('names the latest prices from the mapping', () => {
+    const snapshot = parsePriceSnapshot({
+      data: {
+        536: { high: 2450, highTime: 1754614800, low: 2400, lowTime: 1754614740 },
+        385: { high: 800, highTime: 1754613000, low: null, lowTime: null },
+        9999: { high: 1, highTime: 1754615000, low: 1, lowTime: 1754615000 },
+        1234: { high: 5, highTime: 1754616000, low: 5, lowTime: 1754616000 }
+      }
+    }, mapping);
+
+    assert.strictEqual(snapshot.takenAt, '2025-08-08T01:00:00Z');
+    assert.deepStrictEqual(snapshot.prices, [
+      { item: 'Shark', itemId: 385, high: 800, highTime: '2025-08-08T00:30:00Z', low: null, lowTime: null },
+      { item: 'Dragon bones', itemId: 536, high: 2450, highTime: '2025-08-08T01:00:00Z', low: 2400, lowTime: '2025-08-08T00:59:00Z' }
+    ]);
+  });
+
+  it('rejects files that are not Wiki price data', () => {
+    assert.throws(() => parsePriceSnapshot([{ id: 536 }], mapping), /\/latest response/);
+    assert.throws(() => parsePriceSnapshot({ data: {} }, { items: [] }), /\/mapping response/);
+    assert.throws(() => parsePriceSnapshot({ data: { 1234: { high: 5, highTime: 1 } } }, mapping), /None of the prices/);
+  });
+});
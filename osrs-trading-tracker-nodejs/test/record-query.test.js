@@ -0,0 +1,17 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseRecordsQuery } = require('../lib/record-query');
+
+describe('record query', () => {
+  it('accepts every import status, in any case', () => {
+    for (const status of ['buying', 'SELLING', 'Finished']) {
+      assert.strictEqual(parseRecordsQuery({ status }).filters.status, status.toLowerCase());
+    }
+    assert.strictEqual(parseRecordsQuery({ status: 'cancelled' }).filters.status, null);
+  });
+
+  it('lets the path status win over the query', () => {
+    assert.strictEqual(parseRecordsQuery({ status: 'selling' }, { status: 'buying' }).filters.status, 'buying');
+  });
+});
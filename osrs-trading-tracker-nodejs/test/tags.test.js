@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseTags, holdHours, validateTagRule, matchesTagRule, autoTags, describeTagRule } = require('../lib/tags');
+
+const record = (overrides = {}) => ({
+  id: 1,
+  first_buy_time: '2025-08-07T01:25:52Z',
+  last_sell_time: '2025-08-07T03:10:00Z',
+  account: 'Ormeth',
+  item: 'Rune platebody',
+  status: 'FINISHED',
+  bought: 100,
+  avg_buy_price: 38000,
+  profit: 1500,
+  ...overrides
+});
+
+const rule = (field, operator, value, tag) => ({ field, operator, value, tag });
+
+describe('tags', () => {
+  it('parses a comma-separated list into unique, tidy tags', () => {
+    assert.deepStrictEqual(parseTags(' Overnight, dump  buy,,overnight '), ['overnight', 'dump buy']);
+    assert.deepStrictEqual(parseTags(['Merch', 'merch']), ['merch']);
+    assert.deepStrictEqual(parseTags(undefined), []);
+  });
+
+  it('works out hold time only once something has sold', () => {
+    assert.strictEqual(holdHours(record({ last_sell_time: '2025-08-07T13:25:52Z' })), 12);
+    assert.strictEqual(holdHours(record({ last_sell_time: null })), null);
+  });
+
+  it('validates rules against their field type', () => {
+    assert.strictEqual(validateTagRule(rule('hold-hours', 'gt', '12', 'overnight')), null);
+    assert.strictEqual(validateTagRule(rule('item', 'contains', 'rune', 'rune gear')), null);
+    assert.match(validateTagRule(rule('item', 'gt', '12', 'x')), /only be compared with: contains, is/);
+    assert.match(validateTagRule(rule('hold-hours', 'gt', 'long', 'x')), /needs a number/);
+    assert.match(validateTagRule(rule('colour', 'is', 'red', 'x')), /Field must be one of/);
+    assert.match(validateTagRule(rule('item', 'is', 'Coal', '')), /tag to add/);
+  });
+
+  it('tags records that pass a rule', () => {
+    const rules = [
+      rule('item', 'contains', 'RUNE', 'rune gear'),
+      rule('hold-hours', 'gt', '12', 'overnight'),
+      rule('bought', 'gt', '5000', 'volume'),
+      rule('profit', 'lt', '0', 'loss')
+    ];
+
+    assert.deepStrictEqual(autoTags(rules, record()), ['rune gear']);
+    assert.deepStrictEqual(autoTags(rules, record({ item: 'Cannonball', last_sell_time: '2025-08-08T02:00:00Z', bought: '20000' })), [
+      'overnight',
+      'volume'
+    ]);
+    assert.strictEqual(matchesTagRule(rules[1], record({ last_sell_time: null })), false);
+    assert.strictEqual(matchesTagRule(rule('account', 'is', 'ormeth', 'main'), record()), true);
+  });
+
+  it('describes a rule for people', () => {
+    assert.strictEqual(describeTagRule(rule('hold-hours', 'gt', '12')), 'Hold time (hours) more than 12');
+    assert.strictEqual(describeTagRule(rule('item', 'contains', 'rune')), 'Item contains "rune"');
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { localDay, periodBounds, previousPeriod, periodLabel, reportingOptions } = require('../lib/timezone');
+
+describe('timezone', () => {
+  it('finds the local day of a stored timestamp', () => {
+    assert.strictEqual(localDay('2025-08-07T23:30:00Z', 'Europe/Amsterdam'), '2025-08-08');
+    assert.strictEqual(localDay('2025-08-07T02:00:00Z', 'America/New_York'), '2025-08-06');
+    assert.strictEqual(localDay('2025-08-07 20:00:00', 'Asia/Kathmandu'), '2025-08-08');
+  });
+
+  it('bounds local days across a DST change', () => {
+    assert.deepStrictEqual(periodBounds('day', '2025-03-29T10:00:00Z', '2025-03-30T12:00:00Z', 'Europe/Amsterdam'), [
+      { period: '2025-03-29', starts: '2025-03-28T23:00:00Z', ends: '2025-03-29T23:00:00Z' },
+      { period: '2025-03-30', starts: '2025-03-29T23:00:00Z', ends: '2025-03-30T22:00:00Z' }
+    ]);
+  });
+
+  it('bounds weeks from Monday, months and years', () => {
+    assert.deepStrictEqual(periodBounds('week', '2025-08-06T10:00:00Z', '2025-08-11T10:00:00Z', 'UTC').map(bound => bound.period),
+      ['2025-08-04', '2025-08-11']);
+    assert.deepStrictEqual(periodBounds('month', '2024-12-31T23:30:00Z', '2025-01-15T00:00:00Z', 'Europe/Amsterdam'), [
+      { period: '2025-01', starts: '2024-12-31T23:00:00Z', ends: '2025-01-31T23:00:00Z' }
+    ]);
+    assert.deepStrictEqual(periodBounds('year', '2024-06-01T00:00:00Z', '2025-02-01T00:00:00Z').map(bound => bound.period),
+      ['2024', '2025']);
+  });
+
+  it('names periods and the one before them', () => {
+    assert.strictEqual(previousPeriod('day', '2025-03-01'), '2025-02-28');
+    assert.strictEqual(previousPeriod('week', '2025-01-06'), '2024-12-30');
+    assert.strictEqual(previousPeriod('month', '2025-01'), '2024-12');
+    assert.strictEqual(previousPeriod('year', '2025'), '2024');
+
+    assert.strictEqual(periodLabel('week', '2025-08-04'), 'Week of 08/04/2025');
+    assert.strictEqual(periodLabel('month', '2025-08'), 'August 2025');
+  });
+
+  it('falls back to the default reporting options', () => {
+    assert.deepStrictEqual(reportingOptions({ timezone: 'Mars/Base', profitAttribution: 'whenever' }), { timezone: 'UTC', attribution: 'buy' });
+    assert.deepStrictEqual(reportingOptions({ timezone: 'Asia/Tokyo', profitAttribution: 'sell' }), { timezone: 'Asia/Tokyo', attribution: 'sell' });
+  });
+});